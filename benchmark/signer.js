@@ -0,0 +1,64 @@
+/**
+ * Measures throughput of Signer and NativeSigner, and of Verifier and NativeVerifier.
+ *
+ * Usage: npm run benchmark [-- duration]
+ * where duration is time in milliseconds each case runs. Default is 2000.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const Signer = require('../lib/signer');
+const Verifier = require('../lib/verifier');
+const NativeSigner = require('../lib/native-signer');
+const NativeVerifier = require('../lib/native-verifier');
+
+const duration = parseInt(process.argv[2], 10) || 2000;
+const privateKey = fs.readFileSync(path.join(__dirname, '../test/private.key'), 'utf8');
+const publicKey = fs.readFileSync(path.join(__dirname, '../test/public.key'), 'utf8');
+const content = JSON.stringify({ transactionId: '00568c6b-7baf-4869-b083-d22afc163059', sender: 'Target365', recipient: '+4798079008', content: 'Hello World from SDK' });
+const message = 'posthttps://test.target365.io/api/out-messages1574953585' + '8a2ba1c1-08ad-4eae-9a0b-7a2ff1e6ffa5' + content;
+
+/**
+ * Runs a function repeatedly for duration milliseconds
+ *
+ * @param name Name of the case
+ * @param fn Function to run
+ *
+ * @returns Result { name, opsPerSecond }
+ */
+const run = (name, fn) => {
+    // Warm up, so the key parsing and JIT don't skew the first case
+    for (let i = 0; i < 100; i++) {
+        fn();
+    }
+
+    const started = process.hrtime.bigint();
+    const until = started + BigInt(duration) * 1000000n;
+    let ops = 0;
+    let now = started;
+
+    while (now < until) {
+        fn();
+        ops++;
+        now = process.hrtime.bigint();
+    }
+
+    return { name: name, opsPerSecond: Math.round(ops / (Number(now - started) / 1e9)) };
+};
+
+const signer = new Signer(privateKey);
+const nativeSigner = new NativeSigner(privateKey);
+const verifier = new Verifier(publicKey);
+const nativeVerifier = new NativeVerifier(publicKey);
+const signature = signer.sign(message);
+
+const results = [
+    run('Signer.sign', () => signer.sign(message)),
+    run('NativeSigner.sign', () => nativeSigner.sign(message)),
+    run('Signer.signHeader', () => signer.signHeader('JavaSdkTest', 'post', 'https://test.target365.io/api/out-messages', content)),
+    run('NativeSigner.signHeader', () => nativeSigner.signHeader('JavaSdkTest', 'post', 'https://test.target365.io/api/out-messages', content)),
+    run('Verifier.verify', () => verifier.verify(message, signature)),
+    run('NativeVerifier.verify', () => nativeVerifier.verify(message, signature))
+];
+
+results.forEach((result) => console.log(result.name.padEnd(24) + String(result.opsPerSecond).padStart(10) + ' ops/s'));
@@ -0,0 +1,12 @@
+const asn = require('asn1.js');
+
+const asn1 = {
+    /**
+     * ASN.1 ECDSA DER signature definition
+     */
+    ecdsaDerSig: asn.define('ECPrivateKey', function () {
+        return this.seq().obj(this.key('r').int(), this.key('s').int())
+    })
+};
+
+module.exports = asn1;
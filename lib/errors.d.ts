@@ -0,0 +1,59 @@
+/**
+ * Base class of all errors raised by the SDK
+ */
+export declare class Target365Error extends Error {
+    constructor(message: string);
+}
+
+/**
+ * Raised when a call does not complete within its timeout
+ */
+export declare class Target365TimeoutError extends Target365Error {
+    constructor(timeout: number);
+    timeout: number;
+}
+
+/**
+ * Raised when a call is cancelled through its AbortSignal
+ */
+export declare class Target365AbortError extends Target365Error {
+    constructor();
+}
+
+/**
+ * Raised when call input does not pass validation
+ */
+export declare class Target365ValidationError extends Target365Error {
+    constructor(constraints: string[]);
+    constraints: string[];
+}
+
+/**
+ * Raised when the server responds with an unexpected status
+ */
+export declare class Target365ApiError extends Target365Error {
+    constructor(status: number, body: unknown, requestId: string | null);
+    status: number;
+    body: unknown;
+    requestId: string | null;
+}
+
+/**
+ * Raised when the server responds with 404 to a call, which does not resolve missing resources to null
+ */
+export declare class Target365NotFoundError extends Target365ApiError {
+}
+
+/**
+ * Raised when the server responds with 401 or 403, e.g. because of an unknown key or a rejected signature
+ */
+export declare class Target365AuthError extends Target365ApiError {
+}
+
+/**
+ * Raised when a call fails before a response is received, e.g. because of a DNS or connection error
+ */
+export declare class Target365NetworkError extends Target365Error {
+    constructor(cause: Error);
+    cause: Error;
+}
@@ -0,0 +1,113 @@
+/**
+ * Base class of all errors raised by the SDK
+ */
+class Target365Error extends Error {
+    /**
+     * Creates an error
+     *
+     * @param message Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Raised when a call does not complete within its timeout
+ */
+class Target365TimeoutError extends Target365Error {
+    /**
+     * Creates a timeout error
+     *
+     * @param timeout Timeout in milliseconds, which has elapsed
+     */
+    constructor(timeout) {
+        super('Call timed out after ' + timeout + ' ms');
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Raised when a call is cancelled through its AbortSignal
+ */
+class Target365AbortError extends Target365Error {
+    /**
+     * Creates an abort error
+     */
+    constructor() {
+        super('Call was aborted');
+    }
+}
+
+/**
+ * Raised when call input does not pass validation
+ */
+class Target365ValidationError extends Target365Error {
+    /**
+     * Creates a validation error
+     *
+     * @param constraints List of violated constraints, as reported by joi
+     */
+    constructor(constraints) {
+        super('Invalid input: ' + constraints.join(', '));
+        this.constraints = constraints;
+    }
+}
+
+/**
+ * Raised when the server responds with an unexpected status
+ */
+class Target365ApiError extends Target365Error {
+    /**
+     * Creates an API error
+     *
+     * @param status Response status
+     * @param body Response body, parsed as json when possible, otherwise as a string
+     * @param requestId Request id reported by the server, or null
+     */
+    constructor(status, body, requestId) {
+        super('Target365 responded with status ' + status);
+        this.status = status;
+        this.body = body;
+        this.requestId = requestId;
+    }
+}
+
+/**
+ * Raised when the server responds with 404 to a call, which does not resolve missing resources to null
+ */
+class Target365NotFoundError extends Target365ApiError {
+}
+
+/**
+ * Raised when the server responds with 401 or 403, e.g. because of an unknown key or a rejected signature
+ */
+class Target365AuthError extends Target365ApiError {
+}
+
+/**
+ * Raised when a call fails before a response is received, e.g. because of a DNS or connection error
+ */
+class Target365NetworkError extends Target365Error {
+    /**
+     * Creates a network error
+     *
+     * @param cause Underlying error
+     */
+    constructor(cause) {
+        super(cause.message);
+        this.cause = cause;
+    }
+}
+
+module.exports = {
+    Target365Error,
+    Target365TimeoutError,
+    Target365AbortError,
+    Target365ValidationError,
+    Target365ApiError,
+    Target365NotFoundError,
+    Target365AuthError,
+    Target365NetworkError
+};
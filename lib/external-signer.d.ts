@@ -0,0 +1,26 @@
+declare namespace ExternalSigner {
+    /** Signer holding the private key outside of this process, e.g. in a key-management process or an HSM. */
+    interface SignerLike {
+        /** Signs message with ECDSA P-256 and SHA-256, and returns r and s concatenated in base64 format. */
+        sign(message: string): Promise<string> | string;
+    }
+}
+
+/**
+ * Signs requests with an external signer
+ */
+declare class ExternalSigner {
+    constructor(externalSigner: ExternalSigner.SignerLike);
+
+    /** Sets offset in milliseconds (server time minus local time) added to header timestamps. */
+    setClockOffset(offset: number): void;
+
+    getClockOffset(): number;
+
+    sign(message: string): Promise<string>;
+
+    /** Signs request and resolves Authorization header value. */
+    signHeader(keyName: string, method: string, uri: string, content: string): Promise<string>;
+}
+
+export = ExternalSigner;
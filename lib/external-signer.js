@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const uuidv4 = require('uuid/v4');
+
+/**
+ * Creates a signer, which delegates signing to an external signer, e.g. a key-management process or an HSM, so the
+ * private key never enters this process. External signer is any object with the next method:
+ *
+ *   sign(message) // Signs message with ECDSA P-256 and SHA-256. Returns a promise resolving to r and s concatenated
+ *                 // (64 bytes) in base64 format, same as Signer.sign, or such string directly.
+ *
+ * See lib/process-signer.js for a reference implementation.
+ *
+ * @param externalSigner External signer { sign }
+ *
+ * @returns ExternalSigner
+ */
+function ExternalSigner(externalSigner) {
+    if (!externalSigner || typeof externalSigner.sign !== 'function') {
+        throw new TypeError('External signer must have a sign method');
+    }
+
+    let clockOffset = 0;
+
+    /**
+     * Sets offset added to the local clock, when creating header timestamps
+     *
+     * @param offset Offset in milliseconds, server time minus local time
+     */
+    this.setClockOffset = (offset) => {
+        clockOffset = offset || 0;
+    };
+
+    /**
+     * Gets offset added to the local clock, when creating header timestamps
+     *
+     * @returns Offset in milliseconds
+     */
+    this.getClockOffset = () => {
+        return clockOffset;
+    };
+
+    /**
+     * Signs message with the external signer
+     *
+     * @param message Message to sign
+     *
+     * @returns Promise, which resolves to message signature in base64 format
+     */
+    this.sign = (message) => {
+        return Promise.resolve().then(() => externalSigner.sign(message));
+    };
+
+    /**
+     * Signs header with the external signer. Timestamp is taken when signing starts.
+     *
+     * @param keyName Key name
+     * @param method Request method GET/POST/PUT/DELETE
+     * @param uri Request URI
+     * @param content Content to be sent in request body
+     *
+     * @return Promise, which resolves to Authorization header value
+     */
+    this.signHeader = (keyName, method, uri, content) => {
+        const timestamp = moment().add(clockOffset, 'milliseconds').unix();
+        const nonce = uuidv4();
+        const hash = content === '' ? '' : crypto.createHash('sha256').update(content).digest('base64');
+        const message = method.toLowerCase() + uri.toLowerCase() + timestamp + nonce + hash;
+
+        return this.sign(message).then((signature) => 'HMAC ' + keyName + ':' + timestamp + ':' + nonce + ':' + signature);
+    };
+}
+
+module.exports = ExternalSigner;
@@ -0,0 +1,99 @@
+import { IncomingHttpHeaders } from 'http';
+import Client = require('../target365-client');
+
+declare namespace FakeServer {
+    interface FakeServerParameters {
+        /** Port to listen on. Default is a random free port. */
+        port?: number;
+        /** Host to listen on. Default is '127.0.0.1'. */
+        host?: string;
+        /** Whether Authorization header is verified. Default is true. */
+        verifySignatures?: boolean;
+    }
+
+    /**
+     * In-memory state. Maps are keyed by resource id.
+     */
+    interface FakeServerState {
+        keywords: Map<string, Client.Keyword>;
+        outMessages: Map<string, Client.OutMessageResult>;
+        inMessages: Map<string, Client.InMessage>;
+        merchants: Map<string, Client.StrexMerchant>;
+        oneTimePasswords: Map<string, Client.OneTimePassword>;
+        strexTransactions: Map<string, Client.StrexTransaction>;
+        /** Keyed by recipient. Recipients without an entry are 'Full'. */
+        userValidities: Map<string, Client.StrexUserValidity>;
+        oneClickConfigs: Map<string, Client.OneClickConfig>;
+        /** Pincodes sent, keyed by transaction id. */
+        pincodes: Map<string, string>;
+        /** Keyed by msisdn. */
+        lookups: Map<string, Client.LookupResult>;
+        preparedMsisdns: Set<string>;
+    }
+
+    interface ReceivedRequest {
+        method: string;
+        path: string;
+        query: Record<string, string>;
+        headers: IncomingHttpHeaders;
+        body: string;
+    }
+
+    interface Failure {
+        /** Request method to match. Matches all methods if omitted. */
+        method?: string;
+        /** Path prefix (without leading slash) or RegExp to match. Matches all paths if omitted. */
+        path?: string | RegExp;
+        /** Response status. Default is 500. */
+        status?: number;
+        /** Response body, as a string or an object serialized to json. */
+        body?: string | object;
+        headers?: Record<string, string>;
+        /** Delay in milliseconds before responding. */
+        delay?: number;
+        /** Whether connection is destroyed without a response, simulating a network error. */
+        destroy?: boolean;
+        /** Number of requests to fail. Default is 1. */
+        count?: number;
+    }
+
+    interface StrexOutcome {
+        statusCode?: Client.StatusCode;
+        detailedStatusCode?: Client.DetailedStatusCode;
+        billed?: boolean;
+        resultCode?: string;
+        resultDescription?: string;
+    }
+}
+
+/**
+ * Fake Target365 server, which runs in-process and keeps state in memory
+ */
+declare class FakeServer {
+    constructor(parameters?: FakeServer.FakeServerParameters);
+
+    state: FakeServer.FakeServerState;
+
+    requests: FakeServer.ReceivedRequest[];
+
+    /** Starts the server and resolves to its base url. */
+    start(): Promise<string>;
+
+    stop(): Promise<void>;
+
+    getBaseUrl(): string | null;
+
+    /** Clears state, requests log, injected failures and Strex outcomes. Registered keys are kept. */
+    reset(): void;
+
+    registerClientKey(keyName: string, ecPublicKeyAsString: string): void;
+
+    registerServerKey(keyName: string, ecPublicKeyAsString: string): void;
+
+    injectFailure(failure: FakeServer.Failure): void;
+
+    /** Sets outcome of Strex transactions created afterwards, for one transaction id or all of them. */
+    setStrexOutcome(outcome: FakeServer.StrexOutcome, transactionId?: string): void;
+}
+
+export = FakeServer;
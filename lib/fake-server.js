@@ -0,0 +1,468 @@
+const http = require('http');
+const uuidv4 = require('uuid/v4');
+const moment = require('moment');
+const Verifier = require('./verifier');
+const MemoryNonceStore = require('./nonce-store').MemoryNonceStore;
+
+/**
+ * Removes PEM armor and whitespaces from a key
+ *
+ * @param key Key in PEM format
+ *
+ * @returns Key as a base64 string
+ */
+const stripPem = (key) => key.replace(/-----(BEGIN|END) [A-Z ]+-----/g, '').replace(/\s/g, '');
+
+/**
+ * Creates a fake Target365 server, which runs in-process and keeps state in memory. It implements the endpoints called
+ * by the Client, so integration tests can run offline.
+ *
+ * Every request must carry an HMAC Authorization header signed with a key registered with registerClientKey, otherwise
+ * server responds with 401. Signatures are verified with Verifier, timestamps must be within 5 minutes and nonces must
+ * not be reused.
+ *
+ * @param parameters Map of parameters (optional):
+ * {
+ *   port, // Port to listen on. Default is a random free port.
+ *   host, // Host to listen on. Default is '127.0.0.1'.
+ *   verifySignatures // Whether Authorization header is verified. Default is true.
+ * }
+ *
+ * @returns FakeServer
+ */
+function FakeServer(parameters) {
+    const settings = Object.assign({ port: 0, host: '127.0.0.1', verifySignatures: true }, parameters);
+    const clientKeys = {};
+    const serverKeys = {};
+    const nonces = new MemoryNonceStore();
+    let failures = [];
+    let strexOutcomes = {};
+    let server = null;
+    let baseUrl = null;
+    let nextKeywordId = 1;
+
+    /**
+     * In-memory state. Maps are keyed by resource id and can be inspected and changed by tests.
+     */
+    this.state = null;
+
+    /**
+     * Log of received requests { method, path, query, headers, body }
+     */
+    this.requests = null;
+
+    const reset = () => {
+        this.state = {
+            keywords: new Map(),
+            outMessages: new Map(),
+            inMessages: new Map(),
+            merchants: new Map(),
+            oneTimePasswords: new Map(),
+            strexTransactions: new Map(),
+            userValidities: new Map(),
+            oneClickConfigs: new Map(),
+            pincodes: new Map(),
+            lookups: new Map(),
+            preparedMsisdns: new Set()
+        };
+        this.requests = [];
+        failures = [];
+        strexOutcomes = {};
+    };
+
+    const json = (status, body, headers) => ({ status: status, body: JSON.stringify(body), headers: Object.assign({ 'Content-Type': 'application/json' }, headers) });
+    const empty = (status, headers) => ({ status: status, body: '', headers: headers || {} });
+    const created = (path) => empty(201, { 'Location': baseUrl + path });
+    const notFound = () => empty(404);
+    const conflict = () => json(409, { message: 'Resource already exists' });
+    const found = (value) => value === undefined ? notFound() : json(200, value);
+    const now = () => moment().format();
+
+    const publicKey = (keyName, key) => ({
+        name: keyName,
+        publicKeyString: stripPem(key),
+        signAlgo: 'ECDsaP256',
+        hashAlgo: 'SHA256'
+    });
+
+    const strexOutcome = (transactionId) => Object.assign({ statusCode: 'Ok', detailedStatusCode: 'Delivered', billed: true },
+        strexOutcomes['*'], strexOutcomes[transactionId]);
+
+    const outMessage = (message) => Object.assign({ statusCode: 'Queued', created: now(), lastModified: now() }, message, {
+        transactionId: message.transactionId || uuidv4()
+    });
+
+    const keywordMatches = (keyword, query) => (!query.shortNumberId || keyword.shortNumberId === query.shortNumberId)
+        && (!query.keywordText || keyword.keywordText.indexOf(query.keywordText) >= 0)
+        && (!query.mode || keyword.mode === query.mode)
+        && (!query.tag || (keyword.tags || []).indexOf(query.tag) >= 0);
+
+    const csv = (values) => values.map((value) => value === undefined || value === null ? '' : '"' + String(value).replace(/"/g, '""') + '"').join(',');
+
+    /**
+     * Route table. Handlers are called with (match, query, body) and return { status, body, headers }
+     */
+    const routes = [
+        ['GET', /^api\/ping$/, () => json(200, 'pong')],
+
+        ['GET', /^api\/keywords$/, (match, query) => json(200, Array.from(this.state.keywords.values()).filter((keyword) => keywordMatches(keyword, query)))],
+        ['POST', /^api\/keywords$/, (match, query, body) => {
+            const keyword = Object.assign({}, body, { keywordId: String(nextKeywordId++), created: now(), lastModified: now() });
+            this.state.keywords.set(keyword.keywordId, keyword);
+            return created('api/keywords/' + keyword.keywordId);
+        }],
+        ['GET', /^api\/keywords\/([^/]+)$/, (match) => found(this.state.keywords.get(match[1]))],
+        ['PUT', /^api\/keywords\/([^/]+)$/, (match, query, body) => {
+            if (!this.state.keywords.has(match[1])) {
+                return notFound();
+            }
+            this.state.keywords.set(match[1], Object.assign({}, this.state.keywords.get(match[1]), body, { keywordId: match[1], lastModified: now() }));
+            return empty(204);
+        }],
+        ['DELETE', /^api\/keywords\/([^/]+)$/, (match) => this.state.keywords.delete(match[1]) ? empty(204) : notFound()],
+
+        ['GET', /^api\/lookup$/, (match, query) => found(this.state.lookups.get(query.msisdn))],
+        ['POST', /^api\/prepare-msisdns$/, (match, query, body) => {
+            body.forEach((msisdn) => this.state.preparedMsisdns.add(msisdn));
+            return empty(204);
+        }],
+
+        ['POST', /^api\/out-messages\/batch$/, (match, query, body) => {
+            const messages = body.map(outMessage);
+            if (messages.some((message) => this.state.outMessages.has(message.transactionId))) {
+                return conflict();
+            }
+            messages.forEach((message) => this.state.outMessages.set(message.transactionId, message));
+            return empty(201);
+        }],
+        ['POST', /^api\/out-messages$/, (match, query, body) => {
+            const message = outMessage(body);
+            if (this.state.outMessages.has(message.transactionId)) {
+                return conflict();
+            }
+            this.state.outMessages.set(message.transactionId, message);
+            return created('api/out-messages/' + message.transactionId);
+        }],
+        ['GET', /^api\/out-messages\/([^/]+)$/, (match) => found(this.state.outMessages.get(match[1]))],
+        ['PUT', /^api\/out-messages\/([^/]+)$/, (match, query, body) => {
+            if (!this.state.outMessages.has(match[1])) {
+                return notFound();
+            }
+            this.state.outMessages.set(match[1], Object.assign({}, this.state.outMessages.get(match[1]), body, { transactionId: match[1], lastModified: now() }));
+            return empty(204);
+        }],
+        ['DELETE', /^api\/out-messages\/([^/]+)$/, (match) => this.state.outMessages.delete(match[1]) ? empty(204) : notFound()],
+        ['GET', /^api\/export\/out-messages$/, (match, query) => {
+            const from = moment(query.from);
+            const to = moment(query.to);
+            const rows = Array.from(this.state.outMessages.values())
+                .filter((message) => !moment(message.created).isBefore(from) && !moment(message.created).isAfter(to))
+                .map((message) => csv([message.transactionId, message.created, message.sender, message.recipient, message.content, message.statusCode]));
+            return { status: 200, body: [csv(['TransactionId', 'Created', 'Sender', 'Recipient', 'Content', 'StatusCode'])].concat(rows).join('\n'), headers: { 'Content-Type': 'text/csv' } };
+        }],
+
+        ['GET', /^api\/in-messages\/([^/]+)\/([^/]+)$/, (match) => {
+            const message = this.state.inMessages.get(match[2]);
+            return found(message && message.shortNumberId === match[1] ? message : undefined);
+        }],
+
+        ['GET', /^api\/strex\/merchants$/, () => json(200, Array.from(this.state.merchants.values()))],
+        ['GET', /^api\/strex\/merchants\/([^/]+)$/, (match) => found(this.state.merchants.get(match[1]))],
+
+        ['POST', /^api\/strex\/one-time-passwords$/, (match, query, body) => {
+            this.state.oneTimePasswords.set(body.transactionId, Object.assign({ delivered: true }, body));
+            return created('api/strex/one-time-passwords/' + body.transactionId);
+        }],
+        ['GET', /^api\/strex\/one-time-passwords\/([^/]+)$/, (match) => found(this.state.oneTimePasswords.get(match[1]))],
+
+        ['POST', /^api\/strex\/transactions$/, (match, query, body) => {
+            if (this.state.strexTransactions.has(body.transactionId)) {
+                return conflict();
+            }
+            this.state.strexTransactions.set(body.transactionId, Object.assign({ created: now(), lastModified: now() }, body, strexOutcome(body.transactionId)));
+            return created('api/strex/transactions/' + body.transactionId);
+        }],
+        ['GET', /^api\/strex\/transactions\/([^/]+)$/, (match) => found(this.state.strexTransactions.get(match[1]))],
+        ['DELETE', /^api\/strex\/transactions\/([^/]+)$/, (match) => {
+            const transaction = this.state.strexTransactions.get(match[1]);
+            if (!transaction) {
+                return notFound();
+            }
+            const reversal = Object.assign({}, transaction, { transactionId: '-' + transaction.transactionId, price: -transaction.price, statusCode: 'Reversed', created: now(), lastModified: now() });
+            this.state.strexTransactions.set(reversal.transactionId, reversal);
+            return created('api/strex/transactions/' + reversal.transactionId);
+        }],
+        ['GET', /^api\/strex\/validity$/, (match, query) => json(200, this.state.userValidities.has(query.recipient) ? this.state.userValidities.get(query.recipient) : 'Full')],
+
+        ['PUT', /^api\/one-click\/configs\/([^/]+)$/, (match, query, body) => {
+            this.state.oneClickConfigs.set(match[1], Object.assign({ created: now() }, this.state.oneClickConfigs.get(match[1]), body, { configId: match[1], lastModified: now() }));
+            return empty(201);
+        }],
+        ['GET', /^api\/one-click\/configs\/([^/]+)$/, (match) => found(this.state.oneClickConfigs.get(match[1]))],
+
+        ['POST', /^api\/pincodes$/, (match, query, body) => {
+            const pincode = String(Math.floor(1000 + Math.random() * 9000));
+            this.state.pincodes.set(body.transactionId, pincode);
+            this.state.outMessages.set(body.transactionId, outMessage({
+                transactionId: body.transactionId,
+                sender: body.sender,
+                recipient: body.recipient,
+                content: (body.prefixText || '') + pincode + (body.suffixText || '')
+            }));
+            return empty(204);
+        }],
+        ['GET', /^api\/pincodes\/verification$/, (match, query) => json(200, this.state.pincodes.get(query.transactionId) === query.pincode)],
+
+        ['GET', /^api\/public-key\/([^/]+)$/, (match) => found(serverKeys[match[1]] && publicKey(match[1], serverKeys[match[1]]))],
+        ['GET', /^api\/server\/public-keys\/([^/]+)$/, (match) => found(serverKeys[match[1]] && publicKey(match[1], serverKeys[match[1]]))],
+        ['GET', /^api\/client\/public-keys$/, () => json(200, Object.keys(clientKeys).map((keyName) => publicKey(keyName, clientKeys[keyName])))],
+        ['POST', /^api\/client\/public-keys$/, (match, query, body) => {
+            if (clientKeys[body.name]) {
+                return conflict();
+            }
+            clientKeys[body.name] = body.publicKeyString;
+            return json(200, Object.assign(publicKey(body.name, body.publicKeyString), { expiry: body.expiry || null, created: now(), lastModified: now() }));
+        }],
+        ['GET', /^api\/client\/public-keys\/([^/]+)$/, (match) => found(clientKeys[match[1]] && publicKey(match[1], clientKeys[match[1]]))],
+        ['DELETE', /^api\/client\/public-keys\/([^/]+)$/, (match) => {
+            if (!clientKeys[match[1]]) {
+                return notFound();
+            }
+            delete clientKeys[match[1]];
+            return empty(204);
+        }]
+    ];
+
+    /**
+     * Verifies HMAC Authorization header
+     *
+     * @returns Error message, or null if header is valid
+     */
+    const authenticate = (method, uri, content, authorization) => {
+        const match = /^HMAC ([^:]+):([0-9]+):([^:]+):(.+)$/.exec(authorization || '');
+
+        if (!match) {
+            return 'Missing or malformed Authorization header';
+        }
+
+        const [, keyName, timestamp, nonce, sign] = match;
+
+        if (!clientKeys[keyName]) {
+            return 'Unknown key ' + keyName;
+        }
+        if (Math.abs(moment().unix() - parseInt(timestamp, 10)) > 300) {
+            return 'Timestamp is outside of the allowed window';
+        }
+        let verified;
+        try {
+            verified = new Verifier(clientKeys[keyName]).verifyHeader(method, uri, timestamp, nonce, content, sign);
+        } catch (e) {
+            verified = false;
+        }
+        if (!verified) {
+            return 'Invalid signature';
+        }
+        // Nonces are kept while their timestamp is within the window, older ones are evicted by the store
+        if (!nonces.add(nonce, (parseInt(timestamp, 10) + 301) * 1000)) {
+            return 'Nonce has already been used';
+        }
+
+        return null;
+    };
+
+    const respond = (response, result) => {
+        response.writeHead(result.status, result.headers);
+        response.end(result.body);
+    };
+
+    const dispatch = (request, response, content) => {
+        const url = new URL(request.url, baseUrl);
+        const path = url.pathname.substring(1);
+        const query = Array.from(url.searchParams.entries()).reduce((result, [key, value]) => Object.assign(result, { [key]: value }), {});
+        const method = request.method.toUpperCase();
+
+        this.requests.push({ method: method, path: path, query: query, headers: request.headers, body: content });
+
+        const failure = failures.find((candidate) => (!candidate.method || candidate.method.toUpperCase() === method)
+            && (candidate.path instanceof RegExp ? candidate.path.test(path) : path.indexOf(candidate.path || '') === 0));
+
+        if (failure) {
+            if (--failure.count <= 0) {
+                failures = failures.filter((candidate) => candidate !== failure);
+            }
+            if (failure.destroy) {
+                request.socket.destroy();
+                return;
+            }
+            setTimeout(() => respond(response, {
+                status: failure.status || 500,
+                body: typeof failure.body === 'string' ? failure.body : JSON.stringify(failure.body === undefined ? { message: 'Injected failure' } : failure.body),
+                headers: Object.assign({ 'Content-Type': 'application/json' }, failure.headers)
+            }), failure.delay || 0);
+            return;
+        }
+
+        if (settings.verifySignatures) {
+            const error = authenticate(method, baseUrl.replace(/\/$/, '') + request.url, content, request.headers['authorization']);
+
+            if (error) {
+                respond(response, json(401, { message: error }));
+                return;
+            }
+        }
+
+        let decodedPath;
+        try {
+            decodedPath = decodeURIComponent(path);
+        } catch (e) {
+            respond(response, json(400, { message: 'Path is not valid' }));
+            return;
+        }
+
+        const route = routes.map(([routeMethod, pattern, handler]) => ({ routeMethod, handler, match: pattern.exec(decodedPath) }))
+            .find((candidate) => candidate.routeMethod === method && candidate.match);
+
+        if (!route) {
+            respond(response, json(404, { message: 'No route for ' + method + ' ' + path }));
+            return;
+        }
+
+        let body = null;
+        try {
+            body = content === '' ? null : JSON.parse(content);
+        } catch (e) {
+            respond(response, json(400, { message: 'Body is not valid json' }));
+            return;
+        }
+
+        let result;
+        try {
+            result = route.handler(route.match, query, body);
+        } catch (e) {
+            // Handlers expect bodies of the endpoint's shape, so failures are caused by malformed bodies
+            respond(response, json(400, { message: 'Body does not match the endpoint: ' + e.message }));
+            return;
+        }
+
+        respond(response, result);
+    };
+
+    /**
+     * Starts the server
+     *
+     * @returns Promise, which resolves to the base url of the server, to be passed as Client baseUrl
+     */
+    this.start = () => {
+        return new Promise((resolve, reject) => {
+            server = http.createServer((request, response) => {
+                let content = '';
+                request.setEncoding('utf8');
+                request.on('data', (chunk) => content += chunk);
+                request.on('end', () => {
+                    // A malformed request must not take down the process running the tests
+                    try {
+                        dispatch(request, response, content);
+                    } catch (e) {
+                        if (!response.headersSent) {
+                            respond(response, json(500, { message: e.message }));
+                        }
+                    }
+                });
+            });
+            server.once('error', reject);
+            server.listen(settings.port, settings.host, () => {
+                baseUrl = 'http://' + settings.host + ':' + server.address().port + '/';
+                resolve(baseUrl);
+            });
+        });
+    };
+
+    /**
+     * Stops the server
+     *
+     * @returns Promise, which resolves when the server is stopped
+     */
+    this.stop = () => {
+        return new Promise((resolve) => {
+            if (!server) {
+                resolve();
+                return;
+            }
+            server.close(() => resolve());
+            // Close idle keep-alive connections, so close completes
+            if (server.closeIdleConnections) {
+                server.closeIdleConnections();
+            }
+            server = null;
+        });
+    };
+
+    /**
+     * Gets base url of the started server
+     *
+     * @returns Base url, or null if the server is not started
+     */
+    this.getBaseUrl = () => {
+        return baseUrl;
+    };
+
+    /**
+     * Clears state, requests log, injected failures and Strex outcomes. Registered keys are kept.
+     */
+    this.reset = () => {
+        reset();
+    };
+
+    /**
+     * Registers a client public key. Requests signed with the matching private key are accepted.
+     *
+     * @param keyName Key name, as passed to the Client
+     * @param ecPublicKeyAsString Public key as a string in SPKI format
+     */
+    this.registerClientKey = (keyName, ecPublicKeyAsString) => {
+        clientKeys[keyName] = ecPublicKeyAsString;
+    };
+
+    /**
+     * Registers a server public key, returned by the public key endpoints
+     *
+     * @param keyName Key name
+     * @param ecPublicKeyAsString Public key as a string in SPKI format
+     */
+    this.registerServerKey = (keyName, ecPublicKeyAsString) => {
+        serverKeys[keyName] = ecPublicKeyAsString;
+    };
+
+    /**
+     * Injects a failure, returned instead of the normal response
+     *
+     * @param failure Failure, with the next structure:
+     * {
+     *   method, // Request method to match. Matches all methods if omitted.
+     *   path, // Path prefix (without leading slash) or RegExp to match. Matches all paths if omitted.
+     *   status, // Response status. Default is 500.
+     *   body, // Response body, as a string or an object serialized to json. Default is { message: 'Injected failure' }.
+     *   headers, // Response headers.
+     *   delay, // Delay in milliseconds before responding.
+     *   destroy, // Whether connection is destroyed without a response, simulating a network error.
+     *   count // Number of requests to fail. Default is 1.
+     * }
+     */
+    this.injectFailure = (failure) => {
+        failures.push(Object.assign({ count: 1 }, failure));
+    };
+
+    /**
+     * Sets outcome of Strex transactions created afterwards
+     *
+     * @param outcome Outcome { statusCode, detailedStatusCode, billed, resultCode, resultDescription }
+     * @param transactionId Transaction id the outcome applies to. Applies to all transactions if omitted.
+     */
+    this.setStrexOutcome = (outcome, transactionId) => {
+        strexOutcomes[transactionId || '*'] = outcome;
+    };
+
+    reset();
+}
+
+module.exports = FakeServer;
@@ -0,0 +1,19 @@
+import { KeyObject, JsonWebKey } from 'crypto';
+
+export interface KeyPair {
+    /** Private key as a PEM string in PKCS#8 format. */
+    privateKey: string;
+    /** Public key as a PEM string in SPKI format. */
+    publicKey: string;
+    /** Public key as a base64 string in SPKI format, as posted with postClientPublicKey. */
+    publicKeyString: string;
+}
+
+export declare function isKeyObject(value: unknown): value is KeyObject;
+
+export declare function privateKey(input: string | Buffer | JsonWebKey | KeyObject): KeyObject;
+
+export declare function publicKey(input: string | Buffer | JsonWebKey | KeyObject): KeyObject;
+
+/** Generates an EC P-256 key pair. */
+export declare function generateKeyPair(): KeyPair;
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+/**
+ * Labels of PEM blocks holding Target365 keys. Keys issued by Target365 carry EC PRIVATE KEY and EC PUBLIC KEY labels,
+ * while their content is PKCS#8 and SPKI.
+ */
+const pemLabel = /-----(BEGIN|END) (EC )?(PRIVATE|PUBLIC) KEY-----/g;
+
+/**
+ * Checks that Node crypto supports native signing: JWK import (Node 15.12), IEEE-P1363 signatures and randomUUID.
+ * Signer and Verifier don't need it, so the check is done only when keys are parsed for native crypto.
+ */
+const checkNativeCrypto = () => {
+    const version = process.versions.node.split('.').map((part) => parseInt(part, 10));
+
+    if (version[0] < 15 || (version[0] === 15 && version[1] < 12)) {
+        throw new Error('Native crypto needs Node 15.12 or later, this is Node ' + process.versions.node + '. Use a private key string with nativeCrypto off instead.');
+    }
+};
+
+/**
+ * Checks whether a value is a KeyObject
+ *
+ * @param value Value
+ *
+ * @returns True/False
+ */
+const isKeyObject = (value) => {
+    return !!crypto.KeyObject && value instanceof crypto.KeyObject;
+};
+
+/**
+ * Converts a key given as a string, Buffer or JWK into an input of crypto.createPrivateKey/createPublicKey. Strings
+ * holding a JSON object are parsed as JWK, other strings are read as PEM (with or without labels) holding a DER key.
+ *
+ * @param input Key as a string, Buffer or JWK object
+ * @param type DER type, pkcs8 or spki
+ *
+ * @returns Input of crypto.createPrivateKey/createPublicKey
+ */
+const keyInput = (input, type) => {
+    if (typeof input === 'string' && input.trim().charAt(0) === '{') {
+        return { key: JSON.parse(input), format: 'jwk' };
+    } else if (typeof input === 'string') {
+        return { key: Buffer.from(input.replace(pemLabel, '').replace(/\s/g, ''), 'base64'), format: 'der', type: type };
+    } else if (Buffer.isBuffer(input)) {
+        return { key: input, format: 'der', type: type };
+    } else if (input && typeof input === 'object' && input.kty) {
+        return { key: input, format: 'jwk' };
+    }
+
+    throw new TypeError('Key must be a PEM or DER string, a Buffer, a JWK or a KeyObject');
+};
+
+/**
+ * Creates a private KeyObject
+ *
+ * @param input Private key as a PEM string, DER Buffer (PKCS#8), JWK or KeyObject
+ *
+ * @returns KeyObject. Throws Error on Node older than 15.12.
+ */
+const privateKey = (input) => {
+    checkNativeCrypto();
+
+    if (isKeyObject(input)) {
+        if (input.type !== 'private') {
+            throw new TypeError('KeyObject must be a private key');
+        }
+        return input;
+    }
+
+    return crypto.createPrivateKey(keyInput(input, 'pkcs8'));
+};
+
+/**
+ * Creates a public KeyObject. Private keys are accepted as well, their public part is used.
+ *
+ * @param input Public key as a PEM string, DER Buffer (SPKI), JWK or KeyObject
+ *
+ * @returns KeyObject. Throws Error on Node older than 15.12.
+ */
+const publicKey = (input) => {
+    checkNativeCrypto();
+
+    if (isKeyObject(input)) {
+        return input.type === 'public' ? input : crypto.createPublicKey(input);
+    }
+
+    const options = keyInput(input, 'spki');
+
+    return crypto.createPublicKey(options.format === 'jwk' && options.key.d ? crypto.createPrivateKey(options) : options);
+};
+
+/**
+ * Generates an EC P-256 key pair in the formats used by Signer, Verifier and the public key endpoints
+ *
+ * @returns Key pair, with the next structure:
+ * {
+ *   privateKey, // Private key as a PEM string in PKCS#8 format.
+ *   publicKey, // Public key as a PEM string in SPKI format.
+ *   publicKeyString // Public key as a base64 string in SPKI format, as posted with postClientPublicKey.
+ * }
+ */
+const generateKeyPair = () => {
+    const pair = crypto.generateKeyPairSync('ec', {
+        namedCurve: 'prime256v1',
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    return {
+        privateKey: pair.privateKey,
+        publicKey: pair.publicKey,
+        publicKeyString: pair.publicKey.replace(pemLabel, '').replace(/\s/g, '')
+    };
+};
+
+module.exports = {
+    isKeyObject,
+    privateKey,
+    publicKey,
+    generateKeyPair
+};
@@ -0,0 +1,36 @@
+import Client = require('../target365-client');
+
+export interface KeywordMatch {
+    keyword: Client.Keyword;
+    /** Keyword text or alias, which matched. */
+    matchedText: string;
+    /** Custom properties of the keyword, empty object if it has none. */
+    customProperties: Record<string, unknown>;
+}
+
+export interface KeywordMatchOptions {
+    /** Short number the message is sent to. Keywords of other short numbers are ignored. */
+    shortNumberId?: string;
+}
+
+export type KeywordConflictType = 'duplicate' | 'overlap' | 'shadowed' | 'unreachable' | 'invalidRegex';
+
+export interface KeywordConflict {
+    type: KeywordConflictType;
+    shortNumberId: string;
+    keyword: Client.Keyword;
+    /** Keyword in conflict with keyword, null for unreachable and invalidRegex. */
+    conflictingKeyword: Client.Keyword | null;
+    /** Keyword text or alias in conflict. */
+    text: string;
+    message: string;
+}
+
+/** Finds the keyword receiving a message, null when no keyword matches. */
+export declare function matchKeyword(keywords: Client.Keyword[], message: string, options?: KeywordMatchOptions): KeywordMatch | null;
+
+/** Finds all keywords matching a message, in order of precedence. */
+export declare function matchingKeywords(keywords: Client.Keyword[], message: string, options?: KeywordMatchOptions): KeywordMatch[];
+
+/** Analyzes keywords for duplicate, overlapping, shadowed, unreachable and invalid keywords per short number. */
+export declare function analyzeKeywordConflicts(keywords: Client.Keyword[]): KeywordConflict[];
@@ -0,0 +1,224 @@
+/**
+ * Local simulation of keyword matching for incoming messages. Matching follows the next rules:
+ *
+ *   Text keywords match messages starting with the keyword text as whole words, e.g. HELLO matches "hello world".
+ *   Wildcard keywords match whole messages, where * matches any text and ? matches a single character.
+ *   Regex keywords match messages containing a match of the regular expression.
+ *
+ * Matching ignores case, leading and trailing whitespace, and repeated whitespace (except for Regex keywords). Aliases
+ * are matched with the mode of their keyword, and disabled keywords never match. When several keywords match, Text
+ * keywords win over Wildcard keywords, which win over Regex keywords, then longer keyword texts win, then the order of
+ * the list.
+ */
+
+const modeRanks = { Text: 0, Wildcard: 1, Regex: 2 };
+
+/**
+ * Normalizes message or keyword text for Text and Wildcard matching
+ *
+ * @param text Text
+ *
+ * @returns Normalized text
+ */
+const normalize = (text) => {
+    return String(text || '').trim().replace(/\s+/g, ' ').toUpperCase();
+};
+
+/**
+ * Creates a predicate matching messages against keyword text or alias
+ *
+ * @param mode Keyword mode
+ * @param text Keyword text or alias
+ *
+ * @returns Function (message) => true/false, or null when text is not a valid regular expression
+ */
+const matcher = (mode, text) => {
+    if (mode === 'Regex') {
+        let regex;
+        try {
+            regex = new RegExp(text, 'i');
+        } catch (e) {
+            return null;
+        }
+        return (message) => regex.test(String(message || '').trim());
+    } else if (mode === 'Wildcard') {
+        const pattern = normalize(text).split('').map((c) => c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('');
+        const regex = new RegExp('^' + pattern + '$', 's');
+
+        return (message) => regex.test(normalize(message));
+    }
+
+    const keyword = normalize(text);
+    return (message) => {
+        const normalized = normalize(message);
+        return normalized === keyword || normalized.indexOf(keyword + ' ') === 0;
+    };
+};
+
+/**
+ * Lists keyword texts of a keyword, the keyword text followed by its aliases
+ *
+ * @param keyword Keyword
+ *
+ * @returns Array of texts
+ */
+const textsOf = (keyword) => {
+    return [keyword.keywordText].concat(keyword.aliases || []);
+};
+
+/**
+ * Measures specificity of a keyword text, the number of characters, which are not wildcards
+ *
+ * @param mode Keyword mode
+ * @param text Keyword text or alias
+ *
+ * @returns Specificity
+ */
+const specificity = (mode, text) => {
+    return mode === 'Wildcard' ? normalize(text).replace(/[*?]/g, '').length : normalize(text).length;
+};
+
+/**
+ * Finds all keywords matching a message, in order of precedence
+ *
+ * @param keywords Keywords, as returned by getKeywords
+ * @param message Incoming message text
+ * @param options Map of options (optional):
+ * {
+ *   shortNumberId // Short number the message is sent to. Keywords of other short numbers are ignored.
+ * }
+ *
+ * @returns Array of matches { keyword, matchedText, customProperties }, where matchedText is the keyword text or the
+ * alias, which matched. Every keyword appears once, with its most specific matching text.
+ */
+const matchingKeywords = (keywords, message, options) => {
+    const shortNumberId = options && options.shortNumberId;
+    const candidates = [];
+
+    keywords.forEach((keyword, index) => {
+        if (keyword.enabled === false || (shortNumberId && keyword.shortNumberId !== shortNumberId)) {
+            return;
+        }
+
+        const best = textsOf(keyword).filter((text) => {
+            const test = matcher(keyword.mode, text);
+            return test !== null && test(message);
+        }).sort((a, b) => specificity(keyword.mode, b) - specificity(keyword.mode, a))[0];
+
+        if (best !== undefined) {
+            candidates.push({ keyword: keyword, matchedText: best, index: index, rank: modeRanks[keyword.mode] || 0, specificity: specificity(keyword.mode, best) });
+        }
+    });
+
+    return candidates.sort((a, b) => a.rank - b.rank || b.specificity - a.specificity || a.index - b.index)
+        .map((candidate) => ({ keyword: candidate.keyword, matchedText: candidate.matchedText, customProperties: candidate.keyword.customProperties || {} }));
+};
+
+/**
+ * Finds the keyword receiving a message
+ *
+ * @param keywords Keywords, as returned by getKeywords
+ * @param message Incoming message text
+ * @param options Map of options { shortNumberId } (see matchingKeywords)
+ *
+ * @returns Match { keyword, matchedText, customProperties }, or null when no keyword matches
+ */
+const matchKeyword = (keywords, message, options) => {
+    return matchingKeywords(keywords, message, options)[0] || null;
+};
+
+/**
+ * Creates a message, which the keyword text or alias is expected to receive. Regex keywords have no such message.
+ *
+ * @param mode Keyword mode
+ * @param text Keyword text or alias
+ *
+ * @returns Message, or null for Regex keywords
+ */
+const probeMessage = (mode, text) => {
+    if (mode === 'Regex') {
+        return null;
+    }
+
+    return mode === 'Wildcard' ? normalize(text).replace(/\*/g, '').replace(/\?/g, 'X').replace(/\s+/g, ' ').trim() : normalize(text);
+};
+
+/**
+ * Analyzes keywords for conflicts. Keywords are grouped by shortNumberId, and every keyword text and alias of enabled
+ * Text and Wildcard keywords is probed with the message it is expected to receive. Regex keywords can't be probed, but
+ * they are reported when they capture probes of other keywords.
+ *
+ * @param keywords Keywords, as returned by getKeywords
+ *
+ * @returns Array of conflicts { type, shortNumberId, keyword, conflictingKeyword, text, message }, where type is:
+ *   duplicate, // Keyword text or alias is used by an earlier keyword with the same mode.
+ *   overlap, // Probe of keyword text or alias matches also conflictingKeyword, which doesn't win.
+ *   shadowed, // Probe of keyword text or alias is received by conflictingKeyword.
+ *   unreachable, // Every keyword text and alias is shadowed, so the keyword receives no messages.
+ *   invalidRegex // Keyword text or alias of a Regex keyword is not a valid regular expression.
+ */
+const analyzeKeywordConflicts = (keywords) => {
+    const conflicts = [];
+    const enabled = keywords.filter((keyword) => keyword.enabled !== false);
+    const conflict = (type, keyword, conflictingKeyword, text, message) => ({
+        type: type,
+        shortNumberId: keyword.shortNumberId,
+        keyword: keyword,
+        conflictingKeyword: conflictingKeyword,
+        text: text,
+        message: message
+    });
+
+    enabled.forEach((keyword) => {
+        const sameNumber = enabled.filter((other) => other.shortNumberId === keyword.shortNumberId);
+        const texts = textsOf(keyword);
+        let shadowedTexts = 0;
+
+        texts.forEach((text) => {
+            if (keyword.mode === 'Regex' && matcher('Regex', text) === null) {
+                conflicts.push(conflict('invalidRegex', keyword, null, text, 'Invalid regular expression: ' + text));
+                return;
+            }
+
+            const usesText = (other) => other.mode === keyword.mode && textsOf(other).some((otherText) => normalize(otherText) === normalize(text));
+            const duplicate = sameNumber.slice(0, sameNumber.indexOf(keyword)).find(usesText);
+
+            if (duplicate) {
+                conflicts.push(conflict('duplicate', keyword, duplicate, text, '"' + text + '" is already used by keyword "' + duplicate.keywordText + '"'));
+            }
+
+            const probe = probeMessage(keyword.mode, text);
+
+            if (probe === null) {
+                return;
+            }
+
+            const matches = matchingKeywords(sameNumber, probe);
+            const winner = matches[0] && matches[0].keyword;
+
+            if (winner && winner !== keyword) {
+                shadowedTexts++;
+                if (duplicate !== winner) {
+                    conflicts.push(conflict('shadowed', keyword, winner, text, 'Message "' + probe + '" is received by keyword "' + winner.keywordText + '"'));
+                }
+            } else {
+                // Duplicates are reported for the later keyword only
+                matches.slice(1).filter((match) => !usesText(match.keyword)).forEach((match) => {
+                    conflicts.push(conflict('overlap', keyword, match.keyword, text, 'Message "' + probe + '" matches also keyword "' + match.keyword.keywordText + '"'));
+                });
+            }
+        });
+
+        if (keyword.mode !== 'Regex' && shadowedTexts === texts.length) {
+            conflicts.push(conflict('unreachable', keyword, null, keyword.keywordText, 'Keyword "' + keyword.keywordText + '" receives no messages'));
+        }
+    });
+
+    return conflicts;
+};
+
+module.exports = {
+    matchKeyword,
+    matchingKeywords,
+    analyzeKeywordConflicts
+};
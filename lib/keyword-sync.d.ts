@@ -0,0 +1,25 @@
+import Client = require('../target365-client');
+
+/** Desired keyword. shortNumberId defaults to the shortNumberId of the sync. */
+export type DesiredKeyword = Omit<Client.Keyword, 'keywordId' | 'created' | 'lastModified' | 'shortNumberId'> & { shortNumberId?: string };
+
+export interface KeywordUpdate {
+    /** Keyword to put, current keyword with the desired fields. */
+    keyword: Client.Keyword;
+    current: Client.Keyword;
+    /** Names of the changed fields. */
+    changes: string[];
+}
+
+export interface KeywordSyncPlan {
+    creates: Client.Keyword[];
+    updates: KeywordUpdate[];
+    deletes: Client.Keyword[];
+    unchanged: Client.Keyword[];
+}
+
+/** Plans changes turning current keywords into desired keywords. */
+export declare function planKeywordSync(current: Client.Keyword[], desired: DesiredKeyword[], settings?: { shortNumberId?: string; tag?: string }): KeywordSyncPlan;
+
+/** Creates key matching desired and current keywords by shortNumberId and keywordText (case-insensitive). */
+export declare function keywordKey(keyword: { shortNumberId?: string; keywordText: string }): string;
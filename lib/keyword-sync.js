@@ -0,0 +1,119 @@
+/**
+ * Keyword fields compared by keyword sync. Fields omitted from a desired keyword are left as they are.
+ */
+const syncedFields = ['mode', 'forwardUrl', 'enabled', 'aliases', 'tags', 'customProperties', 'preAuthSettings'];
+
+/**
+ * Keyword fields sent when updating a keyword
+ */
+const keywordFields = ['keywordId', 'shortNumberId', 'keywordText'].concat(syncedFields);
+
+/**
+ * Creates key matching desired and current keywords. Keywords are matched case-insensitively, as incoming messages are.
+ *
+ * @param keyword Keyword
+ *
+ * @returns Key
+ */
+const keywordKey = (keyword) => {
+    return keyword.shortNumberId + '\n' + String(keyword.keywordText).toUpperCase();
+};
+
+/**
+ * Converts a field value into a string, which is equal for equal values. Aliases and tags are compared as sets and
+ * object properties regardless of their order.
+ *
+ * @param field Field name
+ * @param value Field value
+ *
+ * @returns Comparable string
+ */
+const comparable = (field, value) => {
+    const canonical = (item) => {
+        if (Array.isArray(item)) {
+            return item.map(canonical);
+        } else if (item && typeof item === 'object') {
+            return Object.keys(item).sort().filter((key) => item[key] !== undefined && item[key] !== null)
+                .reduce((result, key) => Object.assign(result, { [key]: canonical(item[key]) }), {});
+        }
+        return item;
+    };
+
+    if ((field === 'aliases' || field === 'tags') && Array.isArray(value)) {
+        return JSON.stringify(value.slice().sort());
+    } else if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+        return '';
+    }
+
+    return JSON.stringify(canonical(value));
+};
+
+/**
+ * Plans changes turning current keywords into desired keywords
+ *
+ * @param current Current keywords, as returned by getKeywords
+ * @param desired Desired keywords. Their shortNumberId defaults to settings.shortNumberId.
+ * @param settings Map of settings { shortNumberId, tag }. Keywords are given the tag, so a sync limited to the tag
+ * finds the keywords it created. Current keywords, loaded by the tag, have it already, so their tags are only updated
+ * when desired keywords list tags.
+ *
+ * @returns Plan, with the next structure:
+ * {
+ *   creates, // Desired keywords, which don't exist.
+ *   updates, // Changed keywords { keyword, current, changes }, where keyword is the keyword to put and changes lists
+ *            // names of the changed fields.
+ *   deletes, // Current keywords, which are not desired.
+ *   unchanged // Current keywords, which match desired keywords.
+ * }
+ */
+const planKeywordSync = (current, desired, settings) => {
+    const defaults = settings && settings.shortNumberId ? { shortNumberId: settings.shortNumberId } : {};
+    const tag = settings && settings.tag;
+    const tagged = (keyword) => !tag || (keyword.tags || []).indexOf(tag) >= 0 ? keyword : Object.assign({}, keyword, { tags: (keyword.tags || []).concat(tag) });
+    const existing = new Map(current.map((keyword) => [keywordKey(keyword), keyword]));
+    const plan = { creates: [], updates: [], deletes: [], unchanged: [] };
+
+    desired.map((keyword) => Object.assign({}, defaults, keyword)).forEach((keyword) => {
+        const found = existing.get(keywordKey(keyword));
+
+        if (!found) {
+            plan.creates.push(tagged(keyword));
+            return;
+        }
+
+        existing.delete(keywordKey(keyword));
+
+        if (keyword.tags !== undefined) {
+            keyword = tagged(keyword);
+        }
+
+        const changes = syncedFields.filter((field) => keyword[field] !== undefined && comparable(field, keyword[field]) !== comparable(field, found[field]));
+
+        if (keyword.keywordText !== found.keywordText) {
+            changes.unshift('keywordText');
+        }
+
+        if (changes.length === 0) {
+            plan.unchanged.push(found);
+            return;
+        }
+
+        // Keyword is put as a whole, so fields not managed by the desired keyword keep their current values
+        const update = keywordFields.filter((field) => found[field] !== undefined && found[field] !== null)
+            .reduce((result, field) => Object.assign(result, { [field]: found[field] }), {});
+
+        plan.updates.push({
+            keyword: Object.assign(update, keyword, { keywordId: found.keywordId }),
+            current: found,
+            changes: changes
+        });
+    });
+
+    plan.deletes = Array.from(existing.values());
+    return plan;
+};
+
+module.exports = {
+    planKeywordSync,
+    keywordKey
+};
@@ -0,0 +1,29 @@
+import { KeyObject, JsonWebKey } from 'crypto';
+
+declare namespace NativeSigner {
+    /** Key as a PEM string (with or without labels), DER Buffer, JWK (object or JSON string) or KeyObject. */
+    type KeyInput = string | Buffer | JsonWebKey | KeyObject;
+}
+
+/**
+ * Signs messages with an EC private key using Node crypto. Signatures match those of Signer. Needs Node 15.12 or later.
+ */
+declare class NativeSigner {
+    /**
+     * @param ecPrivateKey Private key in PKCS#8 format, as PEM, DER, JWK or KeyObject
+     */
+    constructor(ecPrivateKey: NativeSigner.KeyInput);
+
+    /** Sets offset in milliseconds (server time minus local time) added to header timestamps. */
+    setClockOffset(offset: number): void;
+
+    getClockOffset(): number;
+
+    /** Signs message and returns signature in base64 format. */
+    sign(message: string): string;
+
+    /** Signs request and returns Authorization header value. */
+    signHeader(keyName: string, method: string, uri: string, content: string): string;
+}
+
+export = NativeSigner;
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const keys = require('./keys');
+
+/**
+ * Creates a signer backed by Node crypto, which produces the same signatures as Signer (ECDSA P-256 with SHA-256,
+ * r and s concatenated and encoded in base64). Key is parsed once into a KeyObject, and signatures are created in
+ * IEEE-P1363 format directly, so no DER decoding or padding is needed. Needs Node 15.12 or later, the constructor throws
+ * on older versions (see lib/keys.js).
+ *
+ * @param ecPrivateKey Private key as a PEM string (PKCS#8, with or without labels), DER Buffer, JWK or KeyObject
+ *
+ * @returns NativeSigner
+ */
+function NativeSigner(ecPrivateKey) {
+    const key = { key: keys.privateKey(ecPrivateKey), dsaEncoding: 'ieee-p1363' };
+    let clockOffset = 0;
+
+    /**
+     * Sets offset added to the local clock, when creating header timestamps
+     *
+     * @param offset Offset in milliseconds, server time minus local time
+     */
+    this.setClockOffset = (offset) => {
+        clockOffset = offset || 0;
+    };
+
+    /**
+     * Gets offset added to the local clock, when creating header timestamps
+     *
+     * @returns Offset in milliseconds
+     */
+    this.getClockOffset = () => {
+        return clockOffset;
+    };
+
+    /**
+     * Signs message and returns signature string
+     *
+     * @param message Message to sign
+     *
+     * @returns Message signature in base64 format
+     */
+    this.sign = (message) => {
+        return crypto.sign('sha256', Buffer.from(message), key).toString('base64');
+    };
+
+    /**
+     * Signs header and returns signature string. Timestamp is taken from the local clock adjusted by the clock offset.
+     *
+     * @param keyName Key name
+     * @param method Request method GET/POST/PUT/DELETE
+     * @param uri Request URI
+     * @param content Content to be sent in request body
+     *
+     * @return Authorization header value
+     */
+    this.signHeader = (keyName, method, uri, content) => {
+        const timestamp = moment().add(clockOffset, 'milliseconds').unix();
+        const nonce = crypto.randomUUID();
+        const hash = content === '' ? '' : crypto.createHash('sha256').update(content).digest('base64');
+        const message = method.toLowerCase() + uri.toLowerCase() + timestamp + nonce + hash;
+
+        return 'HMAC ' + keyName + ':' + timestamp + ':' + nonce + ':' + this.sign(message);
+    };
+}
+
+module.exports = NativeSigner;
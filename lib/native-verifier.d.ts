@@ -0,0 +1,17 @@
+import NativeSigner = require('./native-signer');
+
+/**
+ * Verifies messages with an EC public key using Node crypto. Accepts signatures of Signer and NativeSigner.
+ */
+declare class NativeVerifier {
+    /**
+     * @param ecPublicKey Public key in SPKI format, as PEM, DER, JWK or KeyObject
+     */
+    constructor(ecPublicKey: NativeSigner.KeyInput);
+
+    verify(message: string, sign: string): boolean;
+
+    verifyHeader(method: string, uri: string, timestamp: string | number, nonce: string, content: string, sign: string): boolean;
+}
+
+export = NativeVerifier;
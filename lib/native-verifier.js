@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const keys = require('./keys');
+
+/**
+ * Creates a verifier backed by Node crypto, which accepts the same signatures as Verifier. Key is parsed once into a
+ * KeyObject.
+ *
+ * @param ecPublicKey Public key as a PEM string (SPKI, with or without labels), DER Buffer, JWK or KeyObject
+ *
+ * @returns NativeVerifier
+ */
+function NativeVerifier(ecPublicKey) {
+    const key = { key: keys.publicKey(ecPublicKey), dsaEncoding: 'ieee-p1363' };
+
+    /**
+     * Verifies message and returns true or false
+     *
+     * @param message Message to verify
+     * @param sign Message signature in base64 format
+     *
+     * @returns True/False
+     */
+    this.verify = (message, sign) => {
+        const signature = Buffer.from(sign, 'base64');
+
+        return signature.length === 64 && crypto.verify('sha256', Buffer.from(message), key, signature);
+    };
+
+    /**
+     * Verifies header and returns true or false
+     *
+     * @param method Request method GET/POST/PUT/DELETE
+     * @param uri Request URI
+     * @param timestamp Message timestamp
+     * @param nonce Nonce
+     * @param content Content sent in request body
+     * @param sign Message signature
+     *
+     * @return True/False
+     */
+    this.verifyHeader = (method, uri, timestamp, nonce, content, sign) => {
+        const hash = content === '' ? '' : crypto.createHash('sha256').update(content).digest('base64');
+
+        return this.verify(method.toLowerCase() + uri.toLowerCase() + timestamp + nonce + hash, sign);
+    };
+}
+
+module.exports = NativeVerifier;
@@ -0,0 +1,37 @@
+/**
+ * Store of seen nonces. add records a nonce until expires (milliseconds since epoch), and returns true when the nonce
+ * was not seen before, false when it is already recorded.
+ */
+export interface NonceStore {
+    add(nonce: string, expires: number): boolean | Promise<boolean>;
+}
+
+export interface MemoryNonceStoreParameters {
+    /** Maximum number of nonces kept. Default is 100000. */
+    maxSize?: number;
+}
+
+export interface FileNonceStoreParameters extends MemoryNonceStoreParameters {
+    /** Path of the file. It is created if missing. */
+    path: string;
+}
+
+/**
+ * In-memory nonce store, which evicts the least recently added nonces over maxSize
+ */
+export declare class MemoryNonceStore implements NonceStore {
+    constructor(parameters?: MemoryNonceStoreParameters);
+
+    add(nonce: string, expires: number): boolean;
+
+    getSize(): number;
+}
+
+/**
+ * Nonce store, which appends nonces to a file, so they survive restarts
+ */
+export declare class FileNonceStore implements NonceStore {
+    constructor(parameters: FileNonceStoreParameters);
+
+    add(nonce: string, expires: number): Promise<boolean>;
+}
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const util = require('util');
+
+const readFile = util.promisify(fs.readFile);
+const appendFile = util.promisify(fs.appendFile);
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+
+/**
+ * Nonce stores remember nonces of verified requests, so WebhookVerifier rejects replayed requests. A store is any
+ * object with the next method:
+ *
+ *   add(nonce, expires) // Records a nonce until expires (milliseconds since epoch). Returns true, or a promise
+ *                       // resolving to true, when the nonce was not seen before, false when it is already recorded.
+ *
+ * The check and the record must be a single operation, so concurrent requests with the same nonce can't both pass.
+ */
+
+/**
+ * Creates an in-memory nonce store. When maxSize is reached, the least recently added nonces are evicted before they
+ * expire, which makes replaying them possible again, so maxSize should exceed the number of requests expected within
+ * the timestamp window.
+ *
+ * @param parameters Map of parameters (optional):
+ * {
+ *   maxSize // Maximum number of nonces kept. Default is 100000.
+ * }
+ *
+ * @returns MemoryNonceStore
+ */
+function MemoryNonceStore(parameters) {
+    const maxSize = (parameters && parameters.maxSize) || 100000;
+    // Map keeps insertion order, so the first entries are the least recently added ones
+    const nonces = new Map();
+
+    const prune = (now) => {
+        for (const [nonce, expires] of nonces) {
+            if (expires > now && nonces.size <= maxSize) {
+                break;
+            }
+            nonces.delete(nonce);
+        }
+    };
+
+    /**
+     * Records a nonce
+     *
+     * @param nonce Nonce
+     * @param expires Time in milliseconds since epoch, after which the nonce is forgotten
+     *
+     * @returns True if the nonce was not seen before, otherwise false
+     */
+    this.add = (nonce, expires) => {
+        const now = Date.now();
+        const seen = nonces.get(nonce);
+
+        if (seen !== undefined && seen > now) {
+            return false;
+        }
+
+        nonces.delete(nonce);
+        nonces.set(nonce, expires);
+        prune(now);
+        return true;
+    };
+
+    /**
+     * Gets number of recorded nonces, including expired ones not pruned yet
+     */
+    this.getSize = () => {
+        return nonces.size;
+    };
+}
+
+/**
+ * Creates a nonce store, which keeps nonces in memory and appends them to a file, so they survive restarts. The file
+ * is compacted, dropping expired nonces, whenever it has grown to twice its size after the previous compaction. The
+ * file must not be shared by processes running at the same time, as nonces added by other processes are not seen
+ * after loading.
+ *
+ * @param parameters Map of parameters:
+ * {
+ *   path, // Path of the file. It is created if missing.
+ *   maxSize // Maximum number of nonces kept in memory, see MemoryNonceStore. Default is 100000.
+ * }
+ *
+ * @returns FileNonceStore
+ */
+function FileNonceStore(parameters) {
+    const path = parameters.path;
+    const memory = new MemoryNonceStore(parameters);
+    const entries = new Map();
+    let lines = 0;
+    let compacted = 0;
+    let loaded = null;
+    let writing = Promise.resolve();
+
+    const load = () => {
+        if (!loaded) {
+            loaded = readFile(path, 'utf8').catch((error) => {
+                if (error.code === 'ENOENT') {
+                    return '';
+                }
+                throw error;
+            }).then((content) => {
+                const now = Date.now();
+
+                content.split('\n').filter((line) => line).forEach((line) => {
+                    const separator = line.indexOf(' ');
+                    const expires = parseInt(line.substring(0, separator), 10);
+
+                    lines++;
+                    if (expires > now) {
+                        memory.add(line.substring(separator + 1), expires);
+                        entries.set(line.substring(separator + 1), expires);
+                    }
+                });
+                compacted = entries.size;
+            });
+        }
+        return loaded;
+    };
+
+    const compact = () => {
+        const now = Date.now();
+
+        entries.forEach((expires, nonce) => {
+            if (expires <= now) {
+                entries.delete(nonce);
+            }
+        });
+
+        const content = Array.from(entries).map(([nonce, expires]) => expires + ' ' + nonce + '\n').join('');
+
+        lines = entries.size;
+        compacted = entries.size;
+        return writeFile(path + '.tmp', content, 'utf8').then(() => rename(path + '.tmp', path));
+    };
+
+    /**
+     * Records a nonce
+     *
+     * @param nonce Nonce. Must not contain line breaks.
+     * @param expires Time in milliseconds since epoch, after which the nonce is forgotten
+     *
+     * @returns Promise, which resolves to true if the nonce was not seen before, otherwise to false. Resolves after the
+     * nonce is written to the file.
+     */
+    this.add = (nonce, expires) => {
+        return load().then(() => {
+            if (!memory.add(nonce, expires)) {
+                return false;
+            }
+
+            entries.set(nonce, expires);
+            lines++;
+
+            // Writes are serialized, so appends don't interleave with compaction
+            const written = writing.then(() => appendFile(path, expires + ' ' + nonce + '\n', 'utf8'))
+                .then(() => lines > 100 && lines > 2 * compacted ? compact() : null);
+
+            writing = written.catch(() => { });
+            return written.then(() => true);
+        });
+    };
+}
+
+module.exports = {
+    MemoryNonceStore,
+    FileNonceStore
+};
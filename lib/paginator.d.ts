@@ -0,0 +1,34 @@
+declare namespace Paginator {
+    interface PaginatorParameters {
+        /** Number of items in a page returned by pages(). Default is 100. */
+        pageSize?: number;
+        /** Maximum number of items iterated. Default is no limit. */
+        limit?: number;
+    }
+}
+
+/**
+ * List, which is iterated item by item with for await, or page by page with pages()
+ */
+declare class Paginator<T> implements AsyncIterable<T> {
+    /**
+     * @param source Returns an async iterable of items. Called once per iteration.
+     */
+    constructor(source: () => Promise<AsyncIterable<T> | Iterable<T>>, parameters?: Paginator.PaginatorParameters);
+
+    [Symbol.asyncIterator](): AsyncIterator<T>;
+
+    /** Iterates items in arrays of up to pageSize items. */
+    pages(): AsyncIterableIterator<T[]>;
+
+    /** Collects all items. */
+    toArray(): Promise<T[]>;
+
+    /** Reads elements of a JSON array response body as they arrive. */
+    static streamJsonArray(response: { body?: unknown; json(): Promise<any> }): AsyncIterableIterator<any>;
+
+    /** Parses a JSON array from a stream of chunks, yielding its elements as soon as they are complete. */
+    static parseJsonArray(chunks: AsyncIterable<Buffer | Uint8Array | string> | Iterable<Buffer | Uint8Array | string>): AsyncIterableIterator<any>;
+}
+
+export = Paginator;
@@ -0,0 +1,171 @@
+const StringDecoder = require('string_decoder').StringDecoder;
+
+/**
+ * Parses a JSON array from a stream of chunks, yielding its elements as soon as they are complete, so the whole array
+ * is never held in memory
+ *
+ * @param chunks Async iterable of chunks (Buffer, Uint8Array or string)
+ *
+ * @returns Async iterator of parsed elements
+ */
+async function* parseJsonArray(chunks) {
+    const decoder = new StringDecoder('utf8');
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let ended = false;
+    let item = '';
+
+    const flush = () => {
+        const text = item.trim();
+
+        item = '';
+        return text ? [JSON.parse(text)] : [];
+    };
+
+    for await (const chunk of chunks) {
+        const text = typeof chunk === 'string' ? chunk : decoder.write(Buffer.from(chunk));
+        let start = 0;
+        const parsed = [];
+
+        for (let i = 0; i < text.length && !ended; i++) {
+            const c = text[i];
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (c === '\\') {
+                    escaped = true;
+                } else if (c === '"') {
+                    inString = false;
+                }
+            } else if (depth === 0) {
+                if (c === '[') {
+                    depth = 1;
+                    start = i + 1;
+                } else if (!/\s/.test(c)) {
+                    throw new SyntaxError('Expected a JSON array');
+                }
+            } else if (c === '"') {
+                inString = true;
+            } else if (c === '{' || c === '[') {
+                depth++;
+            } else if (depth === 1 && (c === ',' || c === ']')) {
+                item += text.slice(start, i);
+                start = i + 1;
+                parsed.push(...flush());
+                ended = c === ']';
+                depth = ended ? 0 : 1;
+            } else if (c === '}' || c === ']') {
+                depth--;
+            }
+        }
+
+        if (depth > 0) {
+            item += text.slice(start);
+        }
+        yield* parsed;
+    }
+
+    if (!ended) {
+        throw new SyntaxError('Unexpected end of JSON array');
+    }
+}
+
+/**
+ * Creates a paginator over a list, which is iterated item by item with for await, or page by page with pages()
+ *
+ * @param source Function, which returns a promise resolving to an async iterable of items. It is called once per
+ * iteration, so a paginator can be iterated more than once.
+ * @param parameters Map of parameters (optional):
+ * {
+ *   pageSize, // Number of items in a page returned by pages(). Default is 100.
+ *   limit // Maximum number of items iterated. Default is no limit.
+ * }
+ *
+ * @returns Paginator
+ */
+function Paginator(source, parameters) {
+    const settings = Object.assign({ pageSize: 100, limit: Infinity }, parameters);
+
+    const items = async function* () {
+        let count = 0;
+
+        if (settings.limit <= 0) {
+            return;
+        }
+
+        // Leaving the loop early closes the source, which releases the response stream
+        for await (const item of await source()) {
+            yield item;
+            if (++count >= settings.limit) {
+                return;
+            }
+        }
+    };
+
+    this[Symbol.asyncIterator] = () => {
+        return items();
+    };
+
+    /**
+     * Iterates items in pages
+     *
+     * @returns Async iterator of arrays of up to pageSize items
+     */
+    this.pages = async function* () {
+        let page = [];
+
+        for await (const item of items()) {
+            page.push(item);
+            if (page.length >= settings.pageSize) {
+                yield page;
+                page = [];
+            }
+        }
+
+        if (page.length > 0) {
+            yield page;
+        }
+    };
+
+    /**
+     * Collects all items
+     *
+     * @returns Promise, which resolves to an array of items
+     */
+    this.toArray = () => {
+        const result = [];
+        const iterator = items();
+        const next = () => iterator.next().then((step) => {
+            if (step.done) {
+                return result;
+            }
+            result.push(step.value);
+            return next();
+        });
+
+        return next();
+    };
+}
+
+/**
+ * Reads elements of a JSON array response body as they arrive. Bodies which are not streams are read as a whole.
+ *
+ * @param response Response
+ *
+ * @returns Async iterable of elements
+ */
+Paginator.streamJsonArray = (response) => {
+    if (response.body && typeof response.body[Symbol.asyncIterator] === 'function') {
+        return parseJsonArray(response.body);
+    }
+
+    return (async function* () {
+        yield* await response.json();
+    })();
+};
+
+Paginator.parseJsonArray = parseJsonArray;
+
+module.exports = Paginator;
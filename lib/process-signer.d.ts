@@ -0,0 +1,26 @@
+import ExternalSigner = require('./external-signer');
+
+declare namespace ProcessSigner {
+    interface ProcessSignerParameters {
+        /** Path of the private key file in PKCS#8 format, readable by the signing process. */
+        keyPath?: string;
+        /** Command starting the signing process. Default is the current node executable. */
+        command?: string;
+        /** Arguments of the command. Default is [lib/signing-process.js, keyPath]. */
+        args?: string[];
+    }
+}
+
+/**
+ * External signer, which signs messages in a child process
+ */
+declare class ProcessSigner implements ExternalSigner.SignerLike {
+    constructor(parameters: ProcessSigner.ProcessSignerParameters);
+
+    sign(message: string): Promise<string>;
+
+    /** Stops the signing process. Pending sign calls are rejected. */
+    close(): Promise<void>;
+}
+
+export = ProcessSigner;
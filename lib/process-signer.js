@@ -0,0 +1,121 @@
+const path = require('path');
+const readline = require('readline');
+const childProcess = require('child_process');
+
+/**
+ * Creates an external signer (see lib/external-signer.js), which signs messages in a child process, so the private key
+ * is only read by that process. It is a reference implementation for key-management processes and HSMs, which speaks
+ * newline-delimited JSON with lib/signing-process.js.
+ *
+ * Process is started on the first sign call, and restarted on the next call after it exits. It does not keep the
+ * parent process alive while no messages are being signed.
+ *
+ * @param parameters Map of parameters:
+ * {
+ *   keyPath, // Path of the private key file in PKCS#8 format, readable by the signing process.
+ *   command, // Command starting the signing process. Default is the current node executable.
+ *   args // Arguments of the command. Default is [lib/signing-process.js, keyPath].
+ * }
+ *
+ * @returns ProcessSigner
+ */
+function ProcessSigner(parameters) {
+    const command = parameters.command || process.execPath;
+    const args = parameters.args || [path.join(__dirname, 'signing-process.js'), parameters.keyPath];
+    const pending = new Map();
+    let child = null;
+    let nextId = 1;
+
+    // Child process and its pipes are referenced only while responses are awaited
+    const hold = (target, held) => {
+        [target, target.stdin, target.stdout].forEach((handle) => held ? handle.ref() : handle.unref());
+    };
+
+    const start = () => {
+        const started = childProcess.spawn(command, args, { stdio: ['pipe', 'pipe', 'inherit'] });
+
+        readline.createInterface({ input: started.stdout }).on('line', (line) => {
+            let response;
+            try {
+                response = JSON.parse(line);
+            } catch (e) {
+                return;
+            }
+
+            const request = pending.get(response.id);
+            if (!request) {
+                return;
+            }
+
+            pending.delete(response.id);
+            if (pending.size === 0) {
+                hold(started, false);
+            }
+
+            if (response.error) {
+                request.reject(new Error('Signing failed: ' + response.error));
+            } else {
+                request.resolve(response.signature);
+            }
+        });
+
+        const exited = (error) => {
+            if (child !== started) {
+                return;
+            }
+
+            child = null;
+            pending.forEach((request) => request.reject(error));
+            pending.clear();
+        };
+
+        started.on('error', (error) => exited(error));
+        started.on('exit', (code, signal) => exited(new Error('Signing process exited with ' + (signal || 'code ' + code))));
+        started.stdin.on('error', () => {
+            // Process has exited, pending requests are rejected by the exit handler
+        });
+        return started;
+    };
+
+    /**
+     * Signs message in the signing process
+     *
+     * @param message Message to sign
+     *
+     * @returns Promise, which resolves to message signature in base64 format
+     */
+    this.sign = (message) => {
+        return new Promise((resolve, reject) => {
+            if (!child) {
+                child = start();
+            }
+
+            const id = nextId++;
+
+            pending.set(id, { resolve, reject });
+            hold(child, true);
+            child.stdin.write(JSON.stringify({ id: id, message: message }) + '\n');
+        });
+    };
+
+    /**
+     * Stops the signing process. Pending sign calls are rejected.
+     *
+     * @returns Promise, which resolves when the process has exited
+     */
+    this.close = () => {
+        if (!child) {
+            return Promise.resolve();
+        }
+
+        const closing = child;
+
+        return new Promise((resolve) => {
+            closing.once('exit', () => resolve());
+            closing.stdin.end();
+            closing.kill();
+        });
+    };
+}
+
+module.exports = ProcessSigner;
@@ -0,0 +1,28 @@
+declare namespace RateLimiter {
+    interface RateLimiterParameters {
+        /** Maximum sustained number of calls started per second. Unlimited if not set. */
+        requestsPerSecond?: number;
+        /** Maximum number of calls, which can be started at once. Default is 1 when requestsPerSecond is set. */
+        burst?: number;
+        /** Maximum number of calls running at the same time. Unlimited if not set. */
+        concurrency?: number;
+    }
+}
+
+/**
+ * Rate limiter, which queues calls and runs them within a requests-per-second and a concurrency cap
+ */
+declare class RateLimiter {
+    constructor(parameters: RateLimiter.RateLimiterParameters);
+
+    /** Schedules a task, which is started when the limits allow it. Aborting signal removes a queued task. */
+    schedule<T>(task: () => Promise<T>, signal?: AbortSignal): Promise<T>;
+
+    /** Gets number of tasks waiting to be started. */
+    getPending(): number;
+
+    /** Gets number of tasks started and not completed yet. */
+    getActive(): number;
+}
+
+export = RateLimiter;
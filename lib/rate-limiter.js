@@ -0,0 +1,118 @@
+/**
+ * Creates a rate limiter, which queues calls and runs them within a requests-per-second and a concurrency cap.
+ * Requests-per-second cap is enforced with a token bucket, which holds up to burst tokens and refills at
+ * requestsPerSecond tokens per second. Calls are started in the order they were scheduled.
+ *
+ * @param parameters Map of parameters:
+ * {
+ *   requestsPerSecond, // Maximum sustained number of calls started per second. Unlimited if not set.
+ *   burst, // Maximum number of calls, which can be started at once. Default is 1 when requestsPerSecond is set.
+ *   concurrency // Maximum number of calls running at the same time. Unlimited if not set.
+ * }
+ *
+ * @returns RateLimiter
+ */
+function RateLimiter(parameters) {
+    const requestsPerSecond = parameters.requestsPerSecond || 0;
+    const burst = parameters.burst || 1;
+    const concurrency = parameters.concurrency || 0;
+    const queue = [];
+    let tokens = burst;
+    let refilled = Date.now();
+    let active = 0;
+    let timer = null;
+
+    const refill = () => {
+        const now = Date.now();
+
+        tokens = Math.min(burst, tokens + (now - refilled) * requestsPerSecond / 1000);
+        refilled = now;
+    };
+
+    const drain = () => {
+        while (queue.length > 0 && (!concurrency || active < concurrency)) {
+            if (requestsPerSecond) {
+                refill();
+
+                if (tokens < 1) {
+                    if (!timer) {
+                        timer = setTimeout(() => {
+                            timer = null;
+                            drain();
+                        }, Math.ceil((1 - tokens) * 1000 / requestsPerSecond));
+                    }
+                    return;
+                }
+
+                tokens -= 1;
+            }
+
+            const call = queue.shift();
+            call.started();
+            const release = () => {
+                active--;
+                drain();
+            };
+
+            active++;
+            Promise.resolve().then(call.task).then((result) => {
+                release();
+                call.resolve(result);
+            }, (error) => {
+                release();
+                call.reject(error);
+            });
+        }
+    };
+
+    /**
+     * Schedules a call
+     *
+     * @param task Function, which starts the call and returns a promise
+     * @param signal AbortSignal (optional). When it is aborted before the call is started, the call is removed from the
+     * queue, so it takes no token or concurrency slot.
+     *
+     * @returns Promise, which resolves or rejects with the result of the call. Rejects with the abort reason, when the
+     * call is aborted while queued.
+     */
+    this.schedule = (task, signal) => {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason || new Error('Call was aborted'));
+                return;
+            }
+
+            const call = { task, resolve, reject, started: () => signal && signal.removeEventListener('abort', onAbort) };
+            const onAbort = () => {
+                queue.splice(queue.indexOf(call), 1);
+                reject(signal.reason || new Error('Call was aborted'));
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+            queue.push(call);
+            drain();
+        });
+    };
+
+    /**
+     * Gets number of calls waiting to be started
+     *
+     * @returns Number of calls
+     */
+    this.getPending = () => {
+        return queue.length;
+    };
+
+    /**
+     * Gets number of calls started and not yet completed
+     *
+     * @returns Number of calls
+     */
+    this.getActive = () => {
+        return active;
+    };
+}
+
+module.exports = RateLimiter;
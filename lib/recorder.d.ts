@@ -0,0 +1,39 @@
+declare namespace Recorder {
+    /**
+     * Response, as resolved by node-fetch
+     */
+    interface FetchResponse {
+        status: number;
+        headers: { get(name: string): string | null; has(name: string): boolean };
+        json(): Promise<any>;
+        text(): Promise<string>;
+    }
+
+    /**
+     * Fetch function with node-fetch compatible signature
+     */
+    type Fetch = (uri: string, request: any) => Promise<FetchResponse>;
+
+    interface RecorderParameters {
+        /** Whether calls are recorded into fixtures, or replayed from them. */
+        mode: 'record' | 'replay';
+        /** Directory of fixture files. */
+        dir: string;
+        /** Body fields ignored when matching requests, e.g. ['transactionId']. */
+        ignoreFields?: string[];
+        /** Additional redaction, applied to bodies and query values. */
+        redact?: (text: string) => string;
+    }
+}
+
+/**
+ * Recorder, which captures request/response pairs into fixture files, or replays them without network access
+ */
+declare class Recorder {
+    constructor(parameters: Recorder.RecorderParameters);
+
+    /** Wraps a fetch function, so calls are recorded or replayed. */
+    wrap(fetch: Recorder.Fetch): Recorder.Fetch;
+}
+
+export = Recorder;
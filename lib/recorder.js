@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const { Response, Headers } = require('node-fetch');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const mkdir = util.promisify(fs.mkdir);
+
+/**
+ * Response headers, which are kept in fixtures
+ */
+const recordedHeaders = ['content-type', 'location', 'retry-after', 'x-request-id'];
+
+/**
+ * Body fields holding keys, which are redacted in fixtures
+ */
+const keyFields = ['privateKey', 'publicKey', 'publicKeyString', 'privateKeyString'];
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Replaces an MSISDN with a fake one of the same length, derived from its hash, so different MSISDNs stay different
+ */
+const redactMsisdn = (msisdn) => '+' + hash(msisdn).replace(/[a-f]/g, '').padEnd(msisdn.length, '0').substring(0, msisdn.length - 1);
+
+/**
+ * Redacts MSISDNs and PEM keys in a string
+ */
+const redactText = (text) => text
+    .replace(/-----BEGIN [A-Z ]+-----[\s\S]*?-----END [A-Z ]+-----/g, '[REDACTED]')
+    .replace(/\+\d{8,15}/g, redactMsisdn);
+
+/**
+ * Redacts MSISDNs and keys in a parsed json value
+ */
+const redactValue = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(redactValue);
+    } else if (value !== null && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((result, key) => Object.assign(result, {
+            [key]: keyFields.indexOf(key) >= 0 && value[key] ? '[REDACTED]' : redactValue(value[key])
+        }), {});
+    } else if (typeof value === 'string') {
+        return redactText(value);
+    }
+    return value;
+};
+
+/**
+ * Restores MSISDNs of a request in a replayed response body. Fixtures hold fake MSISDNs, so every MSISDN found in the
+ * query or body of the request is mapped back from its fake one. MSISDNs only known from responses stay fake.
+ */
+const restoreMsisdns = (uri, request, body) => {
+    const texts = Array.from(new URL(uri).searchParams.values()).concat(request.body ? [String(request.body)] : []);
+    const msisdns = [].concat(...texts.map((text) => text.match(/\+\d{8,15}/g) || []));
+
+    return msisdns.reduce((result, msisdn) => result.split(redactMsisdn(msisdn)).join(msisdn), body);
+};
+
+/**
+ * Creates a recorder, which captures request/response pairs into fixture files, or replays them without network access.
+ *
+ * Requests are matched by method, path, query, normalized body (json with sorted keys) and key name from the
+ * Authorization header. Timestamp, nonce and signature of the Authorization header are ignored. Identical requests
+ * are recorded in sequence and replayed in the same order, the last recording is reused when they run out.
+ * MSISDNs (e.g. '+4798079008') are replaced with fake ones and keys are redacted, before fixtures are written and
+ * before requests are matched. Redaction only applies to fixture files: recorded calls return real responses, and
+ * replayed responses get the MSISDNs of the replayed request back in place of their fake ones. Keys and values
+ * changed by the redact function stay redacted on replay.
+ *
+ * @param parameters Map of parameters:
+ * {
+ *   mode, // 'record' or 'replay'.
+ *   dir, // Directory of fixture files.
+ *   ignoreFields, // Body fields ignored when matching requests, e.g. ['transactionId']. Default is none.
+ *   redact // Additional redaction function (text) => text, applied to bodies and query values.
+ * }
+ *
+ * @returns Recorder
+ */
+function Recorder(parameters) {
+    const mode = parameters.mode;
+    const dir = parameters.dir;
+    const ignoreFields = parameters.ignoreFields || [];
+    const redact = (text) => parameters.redact ? parameters.redact(redactText(text)) : redactText(text);
+    const occurrences = {};
+
+    if (mode !== 'record' && mode !== 'replay') {
+        throw new Error('Recorder mode must be either record or replay');
+    }
+
+    const normalizeBody = (body) => {
+        if (!body) {
+            return '';
+        }
+
+        try {
+            const json = redactValue(JSON.parse(body));
+
+            if (json !== null && typeof json === 'object' && !Array.isArray(json)) {
+                ignoreFields.forEach((field) => delete json[field]);
+            }
+
+            return JSON.stringify(json);
+        } catch (e) {
+            return redact(body);
+        }
+    };
+
+    const normalizeResponseBody = (text) => {
+        try {
+            return JSON.stringify(redactValue(JSON.parse(text)));
+        } catch (e) {
+            return redact(text);
+        }
+    };
+
+    /**
+     * Describes a request the way it is stored in fixtures and matched
+     */
+    const describe = (uri, request) => {
+        const url = new URL(uri);
+        const authorization = (request.headers && request.headers['Authorization']) || '';
+        const query = Array.from(url.searchParams.keys()).sort().reduce((result, key) => Object.assign(result, {
+            [key]: redact(url.searchParams.getAll(key).join(','))
+        }), {});
+
+        return {
+            method: request.method.toUpperCase(),
+            path: url.pathname,
+            query: query,
+            keyName: authorization.replace(/^HMAC /, '').split(':')[0],
+            body: normalizeBody(request.body)
+        };
+    };
+
+    const fixturePath = (description, occurrence) => {
+        const key = hash(JSON.stringify([description.method, description.path, description.query, description.keyName, description.body]));
+        const slug = description.path.replace(/^\/+/, '').replace(/[^A-Za-z0-9]+/g, '-').substring(0, 60);
+
+        return {
+            key: key,
+            file: path.join(dir, description.method.toLowerCase() + '-' + slug + '-' + key.substring(0, 12) + '-' + occurrence + '.json')
+        };
+    };
+
+    const next = (description) => {
+        const key = fixturePath(description, 0).key;
+
+        occurrences[key] = (occurrences[key] || 0) + 1;
+        return occurrences[key];
+    };
+
+    const record = (fetch, uri, request) => {
+        const description = describe(uri, request);
+        const fixture = fixturePath(description, next(description));
+
+        return fetch(uri, request).then((response) => response.text().then((text) => {
+            const headers = recordedHeaders.filter((name) => response.headers.has(name))
+                .reduce((result, name) => Object.assign(result, { [name]: response.headers.get(name) }), {});
+            const content = JSON.stringify({
+                request: Object.assign({}, description, { authorization: 'HMAC ' + description.keyName + ':[REDACTED]' }),
+                response: { status: response.status, headers: headers, body: normalizeResponseBody(text) }
+            }, null, 2);
+
+            return mkdir(dir, { recursive: true })
+                .then(() => writeFile(fixture.file, content, 'utf8'))
+                .then(() => new Response(text, { status: response.status, headers: response.headers }));
+        }));
+    };
+
+    const replay = (uri, request) => {
+        const description = describe(uri, request);
+        const occurrence = next(description);
+        const load = (number) => readFile(fixturePath(description, number).file, 'utf8').catch((error) => {
+            if (error.code === 'ENOENT' && number > 1) {
+                return load(number - 1);
+            }
+            throw new Error('No recorded fixture for ' + description.method + ' ' + description.path + ' ' + JSON.stringify(description.query) + ' ' + description.body);
+        });
+
+        return load(occurrence).then((content) => {
+            const fixture = JSON.parse(content).response;
+
+            return new Response(restoreMsisdns(uri, request, fixture.body), { status: fixture.status, headers: new Headers(fixture.headers) });
+        });
+    };
+
+    /**
+     * Wraps a fetch function, so calls are recorded or replayed
+     *
+     * @param fetch Fetch function with node-fetch compatible signature
+     *
+     * @returns Fetch function with node-fetch compatible signature
+     */
+    this.wrap = (fetch) => {
+        return (uri, request) => mode === 'record' ? record(fetch, uri, request) : replay(uri, request);
+    };
+}
+
+module.exports = Recorder;
@@ -0,0 +1,22 @@
+/**
+ * Signs messages with an EC private key
+ */
+declare class Signer {
+    /**
+     * @param ecPrivateKeyAsString Private key as a string in PKCS#8 format
+     */
+    constructor(ecPrivateKeyAsString: string);
+
+    /** Signs message and returns signature in base64 format. */
+    sign(message: string): string;
+
+    /** Sets offset in milliseconds (server time minus local time) added to header timestamps. */
+    setClockOffset(offset: number): void;
+
+    getClockOffset(): number;
+
+    /** Signs request and returns Authorization header value. */
+    signHeader(key: string, method: string, uri: string, content: string): string;
+}
+
+export = Signer;
@@ -0,0 +1,26 @@
+/**
+ * Signing process used by ProcessSigner. Reads the private key from the file given as the first argument, then signs
+ * messages received on stdin, one JSON request { id, message } per line, and writes one JSON response { id, signature }
+ * or { id, error } per line to stdout.
+ *
+ * Usage: node lib/signing-process.js path/to/private.key
+ */
+const fs = require('fs');
+const readline = require('readline');
+const NativeSigner = require('./native-signer');
+
+const signer = new NativeSigner(fs.readFileSync(process.argv[2], 'utf8'));
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    let request = {};
+    let response;
+
+    try {
+        request = JSON.parse(line);
+        response = { id: request.id, signature: signer.sign(request.message) };
+    } catch (e) {
+        response = { id: request.id, error: e.message };
+    }
+
+    process.stdout.write(JSON.stringify(response) + '\n');
+});
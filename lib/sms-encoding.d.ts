@@ -0,0 +1,52 @@
+export type SmsEncoding = 'GSM-7' | 'UCS-2';
+
+export interface SmsAnalysis {
+    encoding: SmsEncoding;
+    /** Length in septets for GSM-7 and in 16-bit characters for UCS-2. */
+    length: number;
+    segments: number;
+    /** 160 or 153 for GSM-7 and 70 or 67 for UCS-2. */
+    charactersPerSegment: number;
+    /** Characters, which still fit into the last segment. */
+    charactersLeft: number;
+    /** Distinct characters forcing UCS-2. */
+    ucs2Characters: string[];
+}
+
+export interface Replacement {
+    character: string;
+    replacement: string;
+    /** Number of times the character was replaced. */
+    count: number;
+}
+
+export interface TransliterationReport {
+    content: string;
+    replacements: Replacement[];
+    /** Distinct characters left, which force UCS-2. */
+    ucs2Characters: string[];
+    segmentsBefore: number;
+    segmentsAfter: number;
+}
+
+export interface SegmentLimit {
+    /** Maximum number of segments. */
+    maxSegments?: number;
+    /** Operator id, whose segment limit applies, or 'any' for the lowest limit of all operators. */
+    operator?: 'no.ice' | 'no.telia' | 'no.telenor' | 'any';
+}
+
+/** Maximum number of segments of a concatenated message per operator. */
+export declare const operatorSegmentLimits: Record<string, number>;
+
+/** Analyzes encoding and length of SMS content. */
+export declare function analyzeSms(content: string): SmsAnalysis;
+
+/** Replaces common characters outside of GSM-7 with GSM-7 equivalents, keeping GSM-7 characters like æøå. */
+export declare function transliterate(content: string): TransliterationReport;
+
+/**
+ * Gets the maximum number of segments allowed by a segment limit, Infinity when there is no limit. Throws
+ * Target365ValidationError, when the operator is unknown.
+ */
+export declare function maxSegments(segmentLimit: SegmentLimit): number;
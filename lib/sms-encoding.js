@@ -0,0 +1,185 @@
+const errors = require('./errors');
+
+/**
+ * Characters of the GSM 03.38 default alphabet, encoded as a single septet
+ */
+const gsm7Characters = new Set(Array.from('@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'));
+
+/**
+ * Characters of the GSM 03.38 extension table, encoded as an escape septet followed by the character septet
+ */
+const gsm7ExtensionCharacters = new Set(Array.from('\f^{}\\[~]|€'));
+
+/**
+ * Maximum number of segments of a concatenated message per operator
+ */
+const operatorSegmentLimits = {
+    'no.ice': 12,
+    'no.telia': 20,
+    'no.telenor': 255
+};
+
+/**
+ * Replacements of common characters outside of GSM-7. Accented letters are handled by removing the accent.
+ */
+const replacements = {
+    '\u2018': '\'', '\u2019': '\'', '\u201A': '\'', '\u201B': '\'', '\u2032': '\'', '\u00B4': '\'', '`': '\'',
+    '\u201C': '"', '\u201D': '"', '\u201E': '"', '\u201F': '"', '\u2033': '"', '\u00AB': '"', '\u00BB': '"',
+    '\u2010': '-', '\u2011': '-', '\u2012': '-', '\u2013': '-', '\u2014': '-', '\u2015': '-', '\u2212': '-',
+    '\u00A0': ' ', '\u2002': ' ', '\u2003': ' ', '\u2007': ' ', '\u2008': ' ', '\u2009': ' ', '\u200A': ' ', '\u202F': ' ',
+    '\u200B': '', '\u200C': '', '\u200D': '', '\u2060': '', '\uFEFF': '',
+    '\u2026': '...', '\u2022': '-', '\u00B7': '-', '\u2122': 'TM', '\u00A9': '(C)', '\u00AE': '(R)',
+    '\u0152': 'OE', '\u0153': 'oe', '\u0141': 'L', '\u0142': 'l', '\u0110': 'D', '\u0111': 'd', '\u00D0': 'D', '\u00F0': 'd',
+    '\u00DE': 'TH', '\u00FE': 'th'
+};
+
+/**
+ * Limits of the encodings. Concatenated messages carry a 6 byte header in every segment, leaving less room for text.
+ */
+const encodings = {
+    'GSM-7': { single: 160, multiple: 153 },
+    'UCS-2': { single: 70, multiple: 67 }
+};
+
+/**
+ * Analyzes encoding and length of SMS content. Content is sent as GSM-7, unless it contains characters outside of the
+ * GSM-7 alphabet, which force UCS-2. GSM-7 extension characters count as two septets and UCS-2 characters outside of
+ * the basic multilingual plane (e.g. emojis) count as two characters. Such characters are never split between
+ * segments.
+ *
+ * @param content Message content
+ *
+ * @returns Analysis, with the next structure:
+ * {
+ *   encoding, // 'GSM-7' or 'UCS-2'.
+ *   length, // Length in septets for GSM-7 and in 16-bit characters for UCS-2.
+ *   segments, // Number of segments the content is sent in. Empty content is sent in one segment.
+ *   charactersPerSegment, // 160 or 153 for GSM-7 and 70 or 67 for UCS-2, depending on whether content is concatenated.
+ *   charactersLeft, // Characters, which still fit into the last segment.
+ *   ucs2Characters // Distinct characters forcing UCS-2, in order of appearance.
+ * }
+ */
+const analyzeSms = (content) => {
+    const characters = Array.from(content || '');
+    const ucs2Characters = characters.filter((c, index) => !isGsm7(c) && characters.indexOf(c) === index);
+    const encoding = ucs2Characters.length ? 'UCS-2' : 'GSM-7';
+    const sizes = characters.map((c) => encoding === 'UCS-2' ? c.length : gsm7ExtensionCharacters.has(c) ? 2 : 1);
+    const length = sizes.reduce((sum, size) => sum + size, 0);
+    const limits = encodings[encoding];
+
+    if (length <= limits.single) {
+        return { encoding, length, segments: 1, charactersPerSegment: limits.single, charactersLeft: limits.single - length, ucs2Characters };
+    }
+
+    let segments = 1;
+    let used = 0;
+
+    sizes.forEach((size) => {
+        if (used + size > limits.multiple) {
+            segments++;
+            used = 0;
+        }
+        used += size;
+    });
+
+    return { encoding, length, segments, charactersPerSegment: limits.multiple, charactersLeft: limits.multiple - used, ucs2Characters };
+};
+
+/**
+ * Checks whether a character can be sent as GSM-7
+ *
+ * @param c Character
+ *
+ * @returns True/False
+ */
+const isGsm7 = (c) => gsm7Characters.has(c) || gsm7ExtensionCharacters.has(c);
+
+/**
+ * Finds a GSM-7 replacement of a character outside of GSM-7
+ *
+ * @param c Character
+ *
+ * @returns Replacement, or null when there is none
+ */
+const replacement = (c) => {
+    if (replacements[c] !== undefined) {
+        return replacements[c];
+    }
+
+    const stripped = c.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+    return stripped && stripped !== c && Array.from(stripped).every(isGsm7) ? stripped : null;
+};
+
+/**
+ * Replaces common characters outside of GSM-7 with GSM-7 equivalents: smart quotes, dashes, special spaces, ellipsis
+ * and accented letters. Characters of GSM-7, like Norwegian æøå, are kept, and content is composed (NFC) first, so
+ * decomposed letters are kept as well. Characters without an equivalent, like emojis, are kept, so such content is
+ * still sent as UCS-2.
+ *
+ * @param content Message content
+ *
+ * @returns Report, with the next structure:
+ * {
+ *   content, // Transliterated content.
+ *   replacements, // Array of replacements { character, replacement, count } in order of appearance.
+ *   ucs2Characters, // Distinct characters left, which force UCS-2.
+ *   segmentsBefore, // Number of segments of the original content.
+ *   segmentsAfter // Number of segments of the transliterated content.
+ * }
+ */
+const transliterate = (content) => {
+    const original = content || '';
+    const replaced = [];
+    const transliterated = Array.from(original.normalize('NFC')).map((c) => {
+        const gsm7 = isGsm7(c) ? null : replacement(c);
+
+        if (gsm7 === null) {
+            return c;
+        }
+
+        const entry = replaced.find((candidate) => candidate.character === c);
+
+        if (entry) {
+            entry.count++;
+        } else {
+            replaced.push({ character: c, replacement: gsm7, count: 1 });
+        }
+        return gsm7;
+    }).join('');
+    const after = analyzeSms(transliterated);
+
+    return {
+        content: transliterated,
+        replacements: replaced,
+        ucs2Characters: after.ucs2Characters,
+        segmentsBefore: analyzeSms(original).segments,
+        segmentsAfter: after.segments
+    };
+};
+
+/**
+ * Gets the maximum number of segments allowed by a segment limit
+ *
+ * @param segmentLimit Segment limit { maxSegments, operator }, where maxSegments is a number of segments and operator
+ * is an operator id from operatorSegmentLimits, or 'any' for the lowest limit of all operators
+ *
+ * @returns Number of segments, Infinity when there is no limit. Throws Target365ValidationError, when the operator is
+ * unknown, so a mistyped operator doesn't disable the limit.
+ */
+const maxSegments = (segmentLimit) => {
+    if (segmentLimit.operator !== undefined && segmentLimit.operator !== 'any' && !Object.prototype.hasOwnProperty.call(operatorSegmentLimits, segmentLimit.operator)) {
+        throw new errors.Target365ValidationError(['"operator" must be one of [' + Object.keys(operatorSegmentLimits).concat('any').join(', ') + ']']);
+    }
+
+    const operator = segmentLimit.operator === 'any' ? Math.min(...Object.values(operatorSegmentLimits)) : operatorSegmentLimits[segmentLimit.operator];
+
+    return Math.min(segmentLimit.maxSegments || Infinity, operator || Infinity);
+};
+
+module.exports = {
+    analyzeSms,
+    transliterate,
+    maxSegments,
+    operatorSegmentLimits
+};
@@ -0,0 +1,62 @@
+import Client = require('../target365-client');
+
+declare namespace SmsTemplate {
+    interface SmsTemplateParameters {
+        /** Whether rendered content is transliterated to GSM-7. Default is false. */
+        transliterate?: boolean;
+    }
+
+    interface Placeholder {
+        name: string;
+        /** Null when the placeholder has no default. */
+        defaultValue: string | null;
+    }
+
+    /** Recipient, whose fields are the data for placeholders. */
+    interface TemplateRecipient {
+        /** Phone number. */
+        recipient: string;
+        transactionId?: string;
+        [field: string]: unknown;
+    }
+
+    interface SegmentReport {
+        /** Worst-case number of segments across recipients. */
+        maxSegments: number;
+        maxLength: number;
+        /** Index of the recipient with the most segments, null for no recipients. */
+        worstIndex: number | null;
+        totalSegments: number;
+        /** Number of recipients, whose content is sent as UCS-2. */
+        ucs2Recipients: number;
+    }
+
+    interface RenderedOutMessages {
+        outMessages: Client.OutMessage[];
+        report: SegmentReport;
+    }
+}
+
+/**
+ * SMS template with {{name}} and {{name|default}} placeholders
+ */
+declare class SmsTemplate {
+    /** Throws Target365ValidationError, when a placeholder is not closed or has an invalid name. */
+    constructor(source: string, parameters?: SmsTemplate.SmsTemplateParameters);
+
+    getPlaceholders(): SmsTemplate.Placeholder[];
+
+    /** Returns constraint messages for missing data, empty when data is complete. */
+    check(data: object): string[];
+
+    /** Throws Target365ValidationError, when a placeholder without a default is missing. */
+    render(data: object): string;
+
+    /** Throws Target365ValidationError with constraints of every recipient, when data is missing. */
+    renderOutMessages(recipients: SmsTemplate.TemplateRecipient[], outMessage: Omit<Client.OutMessage, 'recipient' | 'content'>): SmsTemplate.RenderedOutMessages;
+
+    /** Reports segments of the template rendered for every recipient. */
+    report(recipients: object[]): SmsTemplate.SegmentReport;
+}
+
+export = SmsTemplate;
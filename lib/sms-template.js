@@ -0,0 +1,212 @@
+const errors = require('./errors');
+const smsEncoding = require('./sms-encoding');
+
+/**
+ * Parses template source into literal texts and placeholders
+ *
+ * @param source Template source
+ *
+ * @returns Array of parts, strings for literal texts and { name, defaultValue } for placeholders
+ */
+const parse = (source) => {
+    const parts = [];
+    const invalid = [];
+    let text = '';
+    let position = 0;
+
+    while (position < source.length) {
+        if (source[position] === '\\' && (source[position + 1] === '\\' || source.startsWith('{{', position + 1))) {
+            text += source.startsWith('{{', position + 1) ? '{{' : '\\';
+            position += source.startsWith('{{', position + 1) ? 3 : 2;
+        } else if (source.startsWith('{{', position)) {
+            const end = source.indexOf('}}', position + 2);
+
+            if (end < 0) {
+                invalid.push('Placeholder at ' + position + ' is not closed');
+                break;
+            }
+
+            const body = source.substring(position + 2, end);
+            const separator = body.indexOf('|');
+            const name = (separator < 0 ? body : body.substring(0, separator)).trim();
+
+            if (!/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(name)) {
+                invalid.push('Placeholder "' + body + '" at ' + position + ' has an invalid name');
+            }
+
+            parts.push(text, { name: name, defaultValue: separator < 0 ? null : body.substring(separator + 1).trim() });
+            text = '';
+            position = end + 2;
+        } else {
+            text += source[position++];
+        }
+    }
+
+    if (invalid.length) {
+        throw new errors.Target365ValidationError(invalid);
+    }
+
+    parts.push(text);
+    return parts.filter((part) => part !== '');
+};
+
+/**
+ * Looks up a placeholder value, following dots into nested objects. Only own properties are read, so names like
+ * constructor or toString are missing, unless data has them.
+ *
+ * @param data Data
+ * @param name Placeholder name
+ *
+ * @returns Value as a string, or null when it is missing
+ */
+const lookup = (data, name) => {
+    const own = (object, key) => object !== null && object !== undefined && Object.prototype.hasOwnProperty.call(object, key);
+    const value = name.split('.').reduce((object, key) => own(object, key) ? object[key] : undefined, data);
+
+    return value === null || value === undefined || value === '' ? null : String(value);
+};
+
+/**
+ * Summarizes segments of rendered contents
+ *
+ * @param contents Rendered contents
+ *
+ * @returns Report { maxSegments, maxLength, worstIndex, totalSegments, ucs2Recipients }
+ */
+const summarize = (contents) => {
+    const analyses = contents.map((content) => smsEncoding.analyzeSms(content));
+    const worstIndex = analyses.reduce((worst, analysis, index) => worst === null || analysis.segments > analyses[worst].segments ? index : worst, null);
+
+    return {
+        maxSegments: worstIndex === null ? 0 : analyses[worstIndex].segments,
+        maxLength: analyses.reduce((max, analysis) => Math.max(max, analysis.length), 0),
+        worstIndex: worstIndex,
+        totalSegments: analyses.reduce((sum, analysis) => sum + analysis.segments, 0),
+        ucs2Recipients: analyses.filter((analysis) => analysis.encoding === 'UCS-2').length
+    };
+};
+
+/**
+ * Creates an SMS template. Placeholders are written as {{firstName}}, and {{firstName|there}} renders 'there' when
+ * firstName is missing. Missing means undefined, null or empty, and {{firstName|}} renders nothing then. Dots in names
+ * read nested values e.g. {{order.id}}. A backslash escapes placeholders, so \{{ renders {{, and \\ renders \.
+ * Values are inserted as they are, so values containing {{ are not rendered again.
+ *
+ * @param source Template source. Throws Target365ValidationError, when a placeholder is not closed or has an invalid
+ * name.
+ * @param parameters Map of parameters (optional):
+ * {
+ *   transliterate // Whether rendered content is transliterated to GSM-7 (see lib/sms-encoding.js). Default is false.
+ * }
+ *
+ * @returns SmsTemplate
+ */
+function SmsTemplate(source, parameters) {
+    const settings = Object.assign({ transliterate: false }, parameters);
+    const parts = parse(source);
+
+    /**
+     * Gets placeholders of the template, in order of appearance
+     *
+     * @returns Array of placeholders { name, defaultValue }, where defaultValue is null when there is no default
+     */
+    this.getPlaceholders = () => {
+        return parts.filter((part) => typeof part !== 'string').map((part) => Object.assign({}, part));
+    };
+
+    /**
+     * Checks that data has a value for every placeholder without a default
+     *
+     * @param data Data for placeholders
+     *
+     * @returns Array of constraint messages, empty when data is complete
+     */
+    this.check = (data) => {
+        const missing = parts.filter((part) => typeof part !== 'string' && part.defaultValue === null && lookup(data, part.name) === null)
+            .map((part) => part.name);
+
+        return missing.filter((name, index) => missing.indexOf(name) === index).map((name) => '"' + name + '" is missing');
+    };
+
+    /**
+     * Renders the template
+     *
+     * @param data Data for placeholders
+     *
+     * @returns Rendered content. Throws Target365ValidationError, when a placeholder without a default is missing.
+     */
+    this.render = (data) => {
+        const constraints = this.check(data);
+
+        if (constraints.length) {
+            throw new errors.Target365ValidationError(constraints);
+        }
+
+        const content = parts.map((part) => typeof part === 'string' ? part : lookup(data, part.name) || part.defaultValue).join('');
+
+        return settings.transliterate ? smsEncoding.transliterate(content).content : content;
+    };
+
+    /**
+     * Renders the template into an out-message per recipient. Every recipient is checked before anything is rendered,
+     * so either all out-messages are rendered, or none.
+     *
+     * @param recipients Array of recipients, whose fields are the data for placeholders. Field recipient holds the
+     * phone number, and transactionId is copied when present.
+     * @param outMessage Out-message, whose fields are copied into every rendered out-message e.g. sender and
+     * deliveryReportUrl (see Client.postOutMessage)
+     *
+     * @returns Result, with the next structure:
+     * {
+     *   outMessages, // Rendered out-messages, in order of recipients.
+     *   report // Segment report (see report).
+     * }
+     * Throws Target365ValidationError with constraints of every recipient, when data is missing.
+     */
+    this.renderOutMessages = (recipients, outMessage) => {
+        const constraints = [].concat(...recipients.map((recipient, index) => {
+            const missing = this.check(recipient);
+
+            return (recipient.recipient ? missing : ['"recipient" is missing'].concat(missing)).map((constraint) => 'recipients[' + index + ']: ' + constraint);
+        }));
+
+        if (constraints.length) {
+            throw new errors.Target365ValidationError(constraints);
+        }
+
+        const outMessages = recipients.map((recipient) => {
+            const rendered = Object.assign({}, outMessage, { recipient: recipient.recipient, content: this.render(recipient) });
+
+            if (recipient.transactionId !== undefined) {
+                rendered.transactionId = recipient.transactionId;
+            }
+            return rendered;
+        });
+
+        return {
+            outMessages: outMessages,
+            report: summarize(outMessages.map((rendered) => rendered.content))
+        };
+    };
+
+    /**
+     * Reports segments of the template rendered for every recipient, without rendering out-messages
+     *
+     * @param recipients Array of recipients, whose fields are the data for placeholders
+     *
+     * @returns Report, with the next structure:
+     * {
+     *   maxSegments, // Worst-case number of segments across recipients.
+     *   maxLength, // Worst-case length in septets or 16-bit characters (see lib/sms-encoding.js).
+     *   worstIndex, // Index of the recipient with the most segments, null for no recipients.
+     *   totalSegments, // Number of segments of all recipients together.
+     *   ucs2Recipients // Number of recipients, whose content is sent as UCS-2.
+     * }
+     * Throws Target365ValidationError, when data of a recipient is missing.
+     */
+    this.report = (recipients) => {
+        return summarize(recipients.map((recipient) => this.render(recipient)));
+    };
+}
+
+module.exports = SmsTemplate;
@@ -0,0 +1,15 @@
+/**
+ * Verifies messages with an EC public key
+ */
+declare class Verifier {
+    /**
+     * @param ecPublicKeyAsString Public key as a string in SPKI format
+     */
+    constructor(ecPublicKeyAsString: string);
+
+    verify(message: string, sign: string): boolean;
+
+    verifyHeader(method: string, uri: string, timestamp: string | number, nonce: string, content: string, sign: string): boolean;
+}
+
+export = Verifier;
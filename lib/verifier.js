@@ -0,0 +1,53 @@
+const sha2 = require('sha2');
+const BN = require('bn.js');
+const ECKey = require('ec-key');
+const asn1 = require('./asn1');
+
+/**
+ * Creates a verifier
+ *
+ * @param ecPublicKeyAsString Public key as a string in SPKI format
+ *
+ * @returns Verifier
+ */
+function Verifier(ecPublicKeyAsString) {
+    // Remove technical information and whitespaces, before parsing a key
+    const key = new ECKey(ecPublicKeyAsString.replace('-----BEGIN EC PUBLIC KEY-----', '').replace('-----END EC PUBLIC KEY-----', '')
+        .replace('-----BEGIN PUBLIC KEY-----', '').replace('-----END PUBLIC KEY-----', '').replace(/\n/g, ''), 'spki');
+
+    /**
+     * Verifies message and returns true or false
+     *
+     * @param message Message to verify
+     * @param sign Message signature
+     *
+     * @returns True/False
+     */
+    this.verify = (message, sign) => {
+        const buffer = Buffer.from(sign, 'base64');
+        const r = new BN(buffer.slice(0, 32).toString('hex'), 16, 'be')
+        const s = new BN(buffer.slice(32).toString('hex'), 16, 'be')
+
+        return key.createVerify('SHA256').update(message).verify(asn1.ecdsaDerSig.encode({ r, s }, 'der'), 'base64');
+    };
+
+    /**
+     * Verifies header and returns true or false
+     *
+     * @param method Reqyest method GET/POST/PUT/DELETE
+     * @param uri Request URI
+     * @param timestamp Message timestamp
+     * @param nonce Nonce
+     * @param content Content to be sent in request body
+     * @param sign Message signature
+     *
+     * @return Message signature in base64 format
+     */
+    this.verifyHeader = (method, uri, timestamp, nonce, content, sign) => {
+        const hash = content === '' ? '' : sha2.sha256(content).toString('base64');
+
+        return this.verify(method.toLowerCase() + uri.toLowerCase() + timestamp + nonce + hash, sign);
+    };
+}
+
+module.exports = Verifier;
@@ -0,0 +1,59 @@
+import Client = require('../target365-client');
+import { NonceStore } from './nonce-store';
+
+declare namespace WebhookVerifier {
+    type Reason = 'unknownKey' | 'staleTimestamp' | 'badSignature' | 'replayedNonce';
+
+    interface WebhookVerifierParameters {
+        /** Client used to fetch server public keys. */
+        client?: Client<boolean>;
+        /** Map of server public keys in SPKI format { keyName: publicKey }. These never expire. */
+        publicKeys?: Record<string, string>;
+        /** Time in milliseconds fetched keys are cached. Default is 3600000. */
+        keyTtl?: number;
+        /** Time in milliseconds unknown key names are cached. Default is 60000. */
+        missingKeyTtl?: number;
+        /** Maximum age in seconds of the timestamp. Default is 300. */
+        timestampWindow?: number;
+        /** Store of seen nonces. Default is a MemoryNonceStore. */
+        nonceStore?: NonceStore;
+    }
+
+    interface VerificationResult {
+        valid: boolean;
+        /** Null for valid requests. */
+        reason: Reason | null;
+        keyName: string | null;
+        timestamp: number | null;
+        nonce: string | null;
+    }
+
+    interface SignedRequest {
+        method: string;
+        /** Full URI the platform posted to. */
+        uri: string;
+        headers: Record<string, string | string[] | undefined>;
+        /** Raw body. */
+        body: string;
+    }
+}
+
+/**
+ * Verifier of signed requests posted by the platform, with cached server public keys and replay protection
+ */
+declare class WebhookVerifier {
+    constructor(parameters?: WebhookVerifier.WebhookVerifierParameters);
+
+    static reasons: { [reason in WebhookVerifier.Reason]: reason };
+
+    verify(method: string, uri: string, content: string, header: string): Promise<WebhookVerifier.VerificationResult>;
+
+    verifyRequest(request: WebhookVerifier.SignedRequest): Promise<WebhookVerifier.VerificationResult>;
+
+    addPublicKey(keyName: string, ecPublicKeyAsString: string): void;
+
+    /** Removes fetched keys from the cache. Preloaded keys are kept. */
+    clearKeys(): void;
+}
+
+export = WebhookVerifier;
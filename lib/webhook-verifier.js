@@ -0,0 +1,170 @@
+const moment = require('moment');
+const Verifier = require('./verifier');
+const MemoryNonceStore = require('./nonce-store').MemoryNonceStore;
+
+/**
+ * Reasons of failed verifications
+ */
+const reasons = {
+    unknownKey: 'unknownKey', // Key name is not preloaded and could not be fetched.
+    staleTimestamp: 'staleTimestamp', // Timestamp is outside of the timestamp window.
+    badSignature: 'badSignature', // Header is malformed or signature does not match the request.
+    replayedNonce: 'replayedNonce' // Nonce was already used within the timestamp window.
+};
+
+/**
+ * Creates a verifier of signed requests posted by the platform (SMS and DLR forwards), which does not need network
+ * access once server public keys are known.
+ *
+ * Server public keys are either preloaded with publicKeys, or fetched with client.getServerPublicKey and cached for
+ * keyTtl. Key names the server doesn't know are cached for missingKeyTtl, so forged key names don't cause a fetch on
+ * every request. Timestamp must be within timestampWindow seconds from now in both directions, and a nonce is accepted only
+ * once within the window, as recorded in nonceStore (see lib/nonce-store.js). Nonces are recorded only for valid
+ * signatures, so forged requests can't block real ones.
+ *
+ * @param parameters Map of parameters:
+ * {
+ *   client, // Client used to fetch server public keys. Not needed when publicKeys holds all keys.
+ *   publicKeys, // Map of server public keys in SPKI format { keyName: publicKey }. These never expire.
+ *   keyTtl, // Time in milliseconds fetched keys are cached. Default is 3600000 (1 hour).
+ *   missingKeyTtl, // Time in milliseconds unknown key names are cached. Default is 60000 (1 minute).
+ *   timestampWindow, // Maximum age in seconds of the timestamp. Default is 300, as used by the platform.
+ *   nonceStore // Store of seen nonces. Default is a MemoryNonceStore. Use a FileNonceStore or a shared store to
+ *              // keep nonces across restarts or processes.
+ * }
+ *
+ * @returns WebhookVerifier
+ */
+function WebhookVerifier(parameters) {
+    const settings = Object.assign({ publicKeys: {}, keyTtl: 3600000, missingKeyTtl: 60000, timestampWindow: 300 }, parameters);
+    const keys = {};
+    const nonceStore = settings.nonceStore || new MemoryNonceStore();
+
+    Object.keys(settings.publicKeys).forEach((keyName) => keys[keyName] = { key: Promise.resolve(settings.publicKeys[keyName]), expires: Infinity });
+
+    const publicKey = (keyName) => {
+        if (keys[keyName] && keys[keyName].expires > Date.now()) {
+            return keys[keyName].key;
+        } else if (!settings.client) {
+            return Promise.resolve(null);
+        }
+
+        // Errors reject, instead of resolving to error objects, so only keys the server doesn't know count as missing
+        const key = settings.client.getServerPublicKey(keyName, { throwOnError: true }).then((json) => {
+            if (json === null) {
+                // Missing keys are cached briefly, so keys added on the server are picked up soon
+                keys[keyName] = { key: Promise.resolve(null), expires: Date.now() + settings.missingKeyTtl };
+                return null;
+            } else if (!json || !json.publicKeyString) {
+                throw new Error('Server public key ' + keyName + ' has no publicKeyString');
+            }
+            return json.publicKeyString;
+        }).catch((error) => {
+            delete keys[keyName];
+            throw error;
+        });
+
+        // Pending fetch is cached as well, so concurrent requests fetch a key once
+        keys[keyName] = { key: key, expires: Date.now() + settings.keyTtl };
+        return key;
+    };
+
+    const result = (reason, parts) => ({
+        valid: reason === null,
+        reason: reason,
+        keyName: parts ? parts[0] : null,
+        timestamp: parts ? parseInt(parts[1], 10) : null,
+        nonce: parts ? parts[2] : null
+    });
+
+    /**
+     * Verifies a signed request
+     *
+     * @param method Request method
+     * @param uri Full request URI the platform posted to
+     * @param content Raw request body, empty string for no body
+     * @param header X-ECDSA-Signature header 'keyName:timestamp:nonce:signature'
+     *
+     * @returns Promise, which resolves to a result, with the next structure:
+     * {
+     *   valid, // Whether the request is verified.
+     *   reason, // Null for valid requests, otherwise 'unknownKey', 'staleTimestamp', 'badSignature' or 'replayedNonce'.
+     *   keyName, // Key name from the header, null if header is malformed.
+     *   timestamp, // Timestamp from the header in seconds, null if header is malformed.
+     *   nonce // Nonce from the header, null if header is malformed.
+     * }
+     * Rejects only when the key can't be fetched or the nonce can't be recorded because of an error.
+     */
+    this.verify = (method, uri, content, header) => {
+        const parts = (header || '').replace(/^HMAC /, '').split(':');
+
+        if (parts.length !== 4 || !/^[0-9]+$/.test(parts[1]) || parts.some((part) => !part)) {
+            return Promise.resolve(result(reasons.badSignature, null));
+        }
+
+        const now = moment().unix();
+
+        if (Math.abs(now - parseInt(parts[1], 10)) > settings.timestampWindow) {
+            return Promise.resolve(result(reasons.staleTimestamp, parts));
+        }
+
+        return publicKey(parts[0]).then((key) => {
+            if (!key) {
+                return result(reasons.unknownKey, parts);
+            }
+
+            let verified;
+            try {
+                verified = new Verifier(key).verifyHeader(method, uri, parts[1], parts[2], content || '', parts[3]);
+            } catch (e) {
+                verified = false;
+            }
+
+            if (!verified) {
+                return result(reasons.badSignature, parts);
+            }
+
+            // Nonce is kept while a request with its timestamp can pass the window check
+            const expires = (parseInt(parts[1], 10) + settings.timestampWindow + 1) * 1000;
+
+            return Promise.resolve(nonceStore.add(parts[0] + ':' + parts[2], expires))
+                .then((added) => result(added ? null : reasons.replayedNonce, parts));
+        });
+    };
+
+    /**
+     * Verifies a signed request
+     *
+     * @param request Request { method, uri, headers, body }, where uri is the full URI the platform posted to and body
+     * is the raw body as a string. Header names are matched case-insensitively.
+     *
+     * @returns Promise, which resolves to a result (see verify)
+     */
+    this.verifyRequest = (request) => {
+        const headers = request.headers || {};
+        const name = Object.keys(headers).find((header) => header.toLowerCase() === 'x-ecdsa-signature');
+
+        return this.verify(request.method, request.uri, request.body, name ? headers[name] : '');
+    };
+
+    /**
+     * Adds a server public key, which never expires
+     *
+     * @param keyName Key name
+     * @param ecPublicKeyAsString Public key as a string in SPKI format
+     */
+    this.addPublicKey = (keyName, ecPublicKeyAsString) => {
+        keys[keyName] = { key: Promise.resolve(ecPublicKeyAsString), expires: Infinity };
+    };
+
+    /**
+     * Removes fetched keys from the cache, so they are fetched again. Preloaded keys are kept.
+     */
+    this.clearKeys = () => {
+        Object.keys(keys).filter((keyName) => keys[keyName].expires !== Infinity).forEach((keyName) => delete keys[keyName]);
+    };
+}
+
+WebhookVerifier.reasons = reasons;
+
+module.exports = WebhookVerifier;
@@ -0,0 +1,53 @@
+import { IncomingMessage, ServerResponse } from 'http';
+import Client = require('../target365-client');
+import WebhookVerifier = require('./webhook-verifier');
+
+declare namespace Webhook {
+    type WebhookEvent = 'inMessage' | 'deliveryReport';
+
+    interface WebhookParameters extends WebhookVerifier.WebhookVerifierParameters {
+        /** Created from client, publicKeys, keyTtl, missingKeyTtl and timestampWindow if omitted. */
+        verifier?: WebhookVerifier;
+        /** Whether X-ECDSA-Signature header is verified. Default is true. */
+        verifySignatures?: boolean;
+        /** Public origin of the service e.g. 'https://your-site.net', used to rebuild the signed URI behind proxies. */
+        publicUrl?: string;
+    }
+
+    type WebhookRequest = WebhookVerifier.SignedRequest;
+
+    interface WebhookResponse {
+        status: number;
+        body: string;
+    }
+}
+
+/**
+ * Receiver of SMS forwards and DLR forwards
+ */
+declare class Webhook {
+    constructor(parameters?: Webhook.WebhookParameters);
+
+    on(event: 'inMessage', listener: (inMessage: Client.InMessage, request: Webhook.WebhookRequest) => unknown): this;
+    on(event: 'deliveryReport', listener: (deliveryReport: Client.DeliveryReport, request: Webhook.WebhookRequest) => unknown): this;
+    on(event: 'error', listener: (error: unknown, payload: Client.InMessage | Client.DeliveryReport) => void): this;
+
+    off(event: Webhook.WebhookEvent | 'error', listener: (...args: any[]) => unknown): this;
+
+    /** Handles a forward independent of the framework. Event is detected from the payload if omitted. */
+    handle(request: Webhook.WebhookRequest, event?: Webhook.WebhookEvent): Promise<Webhook.WebhookResponse>;
+
+    /** Creates a request handler for http.createServer. */
+    http(event?: Webhook.WebhookEvent): (request: IncomingMessage, response: ServerResponse) => Promise<void>;
+
+    /** Creates an Express route handler. Must be mounted before json body parsers, or after express.raw(). */
+    express(event?: Webhook.WebhookEvent): (request: any, response: any, next: (error?: unknown) => void) => Promise<void>;
+
+    /** Creates a Koa middleware. */
+    koa(event?: Webhook.WebhookEvent): (ctx: any) => Promise<void>;
+
+    /** Creates a Fastify plugin, which registers a POST route at options.path. */
+    fastify(event?: Webhook.WebhookEvent): (instance: any, options: { path?: string }, done: (error?: Error) => void) => void;
+}
+
+export = Webhook;
@@ -0,0 +1,275 @@
+const joi = require('@hapi/joi');
+const errors = require('./errors');
+const WebhookVerifier = require('./webhook-verifier');
+
+/**
+ * Payload schemas of the forwards. Unknown fields are allowed, so new fields added by the platform don't fail forwards.
+ */
+const schemas = {
+    inMessage: joi.object().keys({
+        transactionId: joi.string().required(),
+        correlationId: joi.string().allow(null).optional(),
+        keywordId: joi.string().allow(null).optional(),
+        created: joi.string().optional(),
+        sender: joi.string().required(),
+        recipient: joi.string().required(),
+        content: joi.string().allow('').required(),
+        isStopMessage: joi.boolean().optional(),
+        properties: joi.object().allow(null).optional(),
+        tags: joi.array().allow(null).optional()
+    }).unknown(true),
+    deliveryReport: joi.object().keys({
+        correlationId: joi.string().allow(null).optional(),
+        transactionId: joi.string().required(),
+        price: joi.number().allow(null).optional(),
+        sender: joi.string().allow(null).optional(),
+        recipient: joi.string().required(),
+        operatorId: joi.string().allow(null).optional(),
+        statusCode: joi.string().required().valid('Queued', 'Sent', 'Failed', 'Ok', 'Reversed'),
+        detailedStatusCode: joi.string().allow(null).optional(),
+        delivered: joi.boolean().allow(null).optional(),
+        billed: joi.boolean().allow(null).optional(),
+        smscTransactionId: joi.string().allow(null).optional(),
+        smscMessageParts: joi.number().allow(null).optional()
+    }).unknown(true)
+};
+
+/**
+ * Reads request body from a stream
+ *
+ * @param stream Readable stream, e.g. http.IncomingMessage
+ *
+ * @returns Promise, which resolves to the body as a string
+ */
+const readBody = (stream) => new Promise((resolve, reject) => {
+    let body = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => body += chunk);
+    stream.on('end', () => resolve(body));
+    stream.on('error', reject);
+});
+
+/**
+ * Creates a receiver of SMS forwards (posted to the keyword forwardUrl) and DLR forwards (posted to the out-message
+ * deliveryReportUrl), with request handlers for plain http, Express, Koa and Fastify.
+ *
+ * Handlers verify the X-ECDSA-Signature header with WebhookVerifier, parse and validate the payload and emit either an
+ * inMessage or a deliveryReport event. Listeners may return promises, which are awaited before responding. Handlers
+ * respond with 200 when all listeners succeed, so the platform considers the forward delivered, with 401 when the
+ * signature is invalid (the body holds the reason, e.g. 'staleTimestamp'), with 400 when the payload is invalid and
+ * with 500 when a listener fails, so the platform retries the forward. Handlers answer with 503 when the server public
+ * key can't be fetched and with 500 when the body can't be read or verification fails otherwise, e.g. when the nonce
+ * store is down. Such errors are emitted as error events as well.
+ *
+ * The signature covers the full URI the platform posted to. It is rebuilt from the Host and X-Forwarded-Proto
+ * headers, unless publicUrl is set.
+ *
+ * @param parameters Map of parameters:
+ * {
+ *   verifier, // WebhookVerifier. Created from client, publicKeys, keyTtl, missingKeyTtl, timestampWindow and nonceStore
+ *             // if omitted.
+ *   client, // Client used to fetch server public keys, see lib/webhook-verifier.js.
+ *   publicKeys, // Map of server public keys in SPKI format { keyName: publicKey }, see lib/webhook-verifier.js.
+ *   keyTtl, // Time in milliseconds fetched keys are cached, see lib/webhook-verifier.js.
+ *   missingKeyTtl, // Time in milliseconds unknown key names are cached, see lib/webhook-verifier.js.
+ *   timestampWindow, // Maximum age in seconds of the signature timestamp, see lib/webhook-verifier.js.
+ *   nonceStore, // Store of seen nonces, see lib/webhook-verifier.js.
+ *   verifySignatures, // Whether X-ECDSA-Signature header is verified. Default is true.
+ *   publicUrl // Public origin of the service e.g. 'https://your-site.net', used to rebuild the signed URI behind proxies.
+ * }
+ *
+ * @returns Webhook
+ */
+function Webhook(parameters) {
+    const settings = Object.assign({ verifySignatures: true }, parameters);
+    const verifier = settings.verifier || new WebhookVerifier(settings);
+    const listeners = { inMessage: [], deliveryReport: [], error: [] };
+
+    const uriOf = (headers, path, encrypted) => {
+        if (settings.publicUrl) {
+            return settings.publicUrl.replace(/\/+$/, '') + path;
+        }
+
+        const protocol = (headers['x-forwarded-proto'] || '').split(',')[0].trim() || (encrypted ? 'https' : 'http');
+
+        return protocol + '://' + headers['host'] + path;
+    };
+
+    const verify = (request) => {
+        return settings.verifySignatures ? Promise.resolve().then(() => verifier.verifyRequest(request)) : Promise.resolve({ valid: true, reason: null });
+    };
+
+    const emit = (event, payload, request) => {
+        return Promise.all(listeners[event].map((listener) => Promise.resolve().then(() => listener(payload, request))));
+    };
+
+    const emitError = (error, payload) => {
+        listeners.error.forEach((listener) => {
+            try {
+                listener(error, payload);
+            } catch (e) {
+                // Error listeners can't change the response
+            }
+        });
+    };
+
+    const failure = (error) => {
+        emitError(error, null);
+        // Errors of the SDK come from the client fetching the server public key
+        return { status: error instanceof errors.Target365Error ? 503 : 500, body: '' };
+    };
+
+    /**
+     * Adds an event listener
+     *
+     * @param event 'inMessage', 'deliveryReport' or 'error'
+     * @param listener Function (payload, request) => Promise for inMessage/deliveryReport, (error, payload) => void for error
+     *
+     * @returns This Webhook
+     */
+    this.on = (event, listener) => {
+        if (!listeners[event]) {
+            throw new Error('Unknown event ' + event);
+        }
+
+        listeners[event].push(listener);
+        return this;
+    };
+
+    /**
+     * Removes an event listener
+     *
+     * @param event 'inMessage', 'deliveryReport' or 'error'
+     * @param listener Listener passed to on
+     *
+     * @returns This Webhook
+     */
+    this.off = (event, listener) => {
+        if (listeners[event] && listeners[event].indexOf(listener) >= 0) {
+            listeners[event].splice(listeners[event].indexOf(listener), 1);
+        }
+        return this;
+    };
+
+    /**
+     * Handles a forward independent of the framework
+     *
+     * @param request Request { method, uri, headers, body }, where uri is the full URI the platform posted to,
+     * headers have lower-case names and body is the raw body as a string
+     * @param event 'inMessage' or 'deliveryReport'. Detected from the payload if omitted.
+     *
+     * @returns Promise, which resolves to the response { status, body }. Rejects when the server public key can't be
+     * fetched or verification fails otherwise.
+     */
+    this.handle = (request, event) => {
+        return verify(request).then((verification) => {
+            if (!verification.valid) {
+                return { status: 401, body: verification.reason };
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(request.body);
+            } catch (e) {
+                return { status: 400, body: 'Invalid json' };
+            }
+
+            const type = event || (payload && payload.statusCode !== undefined ? 'deliveryReport' : 'inMessage');
+            const validation = joi.validate(payload, schemas[type], { abortEarly: false });
+
+            if (validation.error) {
+                return { status: 400, body: validation.error.details.map((detail) => detail.message).join(', ') };
+            }
+
+            return emit(type, payload, request).then(() => ({ status: 200, body: '' }), (error) => {
+                emitError(error, payload);
+                return { status: 500, body: '' };
+            });
+        });
+    };
+
+    /**
+     * Creates a request handler for http.createServer
+     *
+     * @param event 'inMessage' or 'deliveryReport'. Detected from the payload if omitted.
+     *
+     * @returns Function (request, response) => Promise
+     */
+    this.http = (event) => (request, response) => {
+        return readBody(request)
+            .then((body) => this.handle({ method: request.method, uri: uriOf(request.headers, request.url, request.socket.encrypted), headers: request.headers, body: body }, event))
+            .catch(failure)
+            .then((result) => {
+                response.writeHead(result.status, { 'Content-Type': 'text/plain' });
+                response.end(result.body);
+            });
+    };
+
+    /**
+     * Creates an Express route handler. It must get the raw body, so it should be mounted before json body parsers,
+     * or after express.raw({ type: 'application/json' }). Only errors of sending the response are passed to next.
+     *
+     * @param event 'inMessage' or 'deliveryReport'. Detected from the payload if omitted.
+     *
+     * @returns Function (request, response, next) => Promise
+     */
+    this.express = (event) => (request, response, next) => {
+        let body;
+
+        if (request.rawBody !== undefined) {
+            body = Promise.resolve(String(request.rawBody));
+        } else if (Buffer.isBuffer(request.body) || typeof request.body === 'string') {
+            body = Promise.resolve(request.body.toString('utf8'));
+        } else if (request._body) {
+            body = Promise.reject(new Error('Request body was parsed before the webhook handler, raw body is required to verify the signature'));
+        } else {
+            body = readBody(request);
+        }
+
+        return body
+            .then((text) => this.handle({ method: request.method, uri: uriOf(request.headers, request.originalUrl || request.url, request.socket.encrypted), headers: request.headers, body: text }, event))
+            .catch(failure)
+            .then((result) => response.status(result.status).type('text/plain').send(result.body))
+            .catch(next);
+    };
+
+    /**
+     * Creates a Koa middleware. Raw body is taken from ctx.request.rawBody (set by koa-bodyparser) or read from the request.
+     *
+     * @param event 'inMessage' or 'deliveryReport'. Detected from the payload if omitted.
+     *
+     * @returns Function (ctx) => Promise
+     */
+    this.koa = (event) => (ctx) => {
+        const body = ctx.request.rawBody !== undefined ? Promise.resolve(ctx.request.rawBody) : readBody(ctx.req);
+
+        return body
+            .then((text) => this.handle({ method: ctx.method, uri: uriOf(ctx.headers, ctx.originalUrl || ctx.url, ctx.req.socket.encrypted), headers: ctx.headers, body: text }, event))
+            .catch(failure)
+            .then((result) => {
+                ctx.status = result.status;
+                ctx.type = 'text/plain';
+                ctx.body = result.body;
+            });
+    };
+
+    /**
+     * Creates a Fastify plugin, which registers a POST route. Within the plugin, json bodies are kept as strings,
+     * so the signature can be verified.
+     *
+     * @param event 'inMessage' or 'deliveryReport'. Detected from the payload if omitted.
+     *
+     * @returns Plugin (instance, options, done), where options { path } sets the route path. Default path is '/'.
+     */
+    this.fastify = (event) => (instance, options, done) => {
+        instance.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, parsed) => parsed(null, body));
+        instance.post((options && options.path) || '/', (request, reply) => {
+            return this.handle({ method: request.method, uri: uriOf(request.headers, request.raw.url, request.raw.socket.encrypted), headers: request.headers, body: request.body }, event)
+                .catch(failure)
+                .then((result) => reply.code(result.status).type('text/plain').send(result.body));
+        });
+        done();
+    };
+}
+
+module.exports = Webhook;
@@ -0,0 +1,37 @@
+import Client = require('./target365-client.js');
+import Signer = require('./lib/signer.js');
+import Verifier = require('./lib/verifier.js');
+import NativeSigner = require('./lib/native-signer.js');
+import NativeVerifier = require('./lib/native-verifier.js');
+import ExternalSigner = require('./lib/external-signer.js');
+import ProcessSigner = require('./lib/process-signer.js');
+import Paginator = require('./lib/paginator.js');
+import SmsTemplate = require('./lib/sms-template.js');
+import Transport = require('./lib/transport.js');
+import RateLimiter = require('./lib/rate-limiter.js');
+import Recorder = require('./lib/recorder.js');
+import Webhook = require('./lib/webhook.js');
+import WebhookVerifier = require('./lib/webhook-verifier.js');
+
+export {
+    Target365Error,
+    Target365TimeoutError,
+    Target365AbortError,
+    Target365ValidationError,
+    Target365ApiError,
+    Target365NotFoundError,
+    Target365AuthError,
+    Target365NetworkError
+} from './lib/errors.js';
+
+export { NonceStore, MemoryNonceStore, FileNonceStore } from './lib/nonce-store.js';
+
+export { KeyPair, generateKeyPair } from './lib/keys.js';
+
+export { KeywordMatch, KeywordMatchOptions, KeywordConflict, KeywordConflictType, matchKeyword, matchingKeywords, analyzeKeywordConflicts } from './lib/keyword-matcher.js';
+
+export { SmsAnalysis, SmsEncoding, SegmentLimit, Replacement, TransliterationReport, analyzeSms, transliterate, operatorSegmentLimits } from './lib/sms-encoding.js';
+
+export { Client, Signer, Verifier, NativeSigner, NativeVerifier, ExternalSigner, ProcessSigner, Paginator, SmsTemplate, Transport, RateLimiter, Recorder, Webhook, WebhookVerifier };
+
+export default Client;
@@ -0,0 +1,711 @@
+import SignerClass = require('./lib/signer');
+import VerifierClass = require('./lib/verifier');
+import NativeSignerClass = require('./lib/native-signer');
+import NativeVerifierClass = require('./lib/native-verifier');
+import ExternalSignerClass = require('./lib/external-signer');
+import keys = require('./lib/keys');
+import Paginator = require('./lib/paginator');
+import keywordSync = require('./lib/keyword-sync');
+import smsEncoding = require('./lib/sms-encoding');
+import errors = require('./lib/errors');
+import Transport = require('./lib/transport');
+import RateLimiter = require('./lib/rate-limiter');
+import Recorder = require('./lib/recorder');
+import { NonceStore } from './lib/nonce-store';
+
+declare namespace Client {
+    type KeywordMode = 'Text' | 'Wildcard' | 'Regex';
+
+    type Priority = 'Low' | 'Normal' | 'High';
+
+    type DeliveryMode = 'AtLeastOnce' | 'AtMostOnce';
+
+    type StatusCode = 'Queued' | 'Sent' | 'Failed' | 'Ok' | 'Reversed';
+
+    type DetailedStatusCode = 'None' | 'Delivered' | 'Expired' | 'Undelivered' | 'UnknownError' | 'Failed' | 'CardPSPError'
+        | 'ConnectionOffline' | 'MissingDeliveryReport' | 'Sent' | 'Rejected' | 'UnknownSubscriber' | 'SubscriberUnavailable'
+        | 'SubscriberBarred' | 'InsufficientFunds' | 'InvalidCredentials' | 'InvalidOTP' | 'MnoError' | 'RegistrationRequired'
+        | 'UnknownAge' | 'DuplicateTransaction' | 'SubscriberLimitExceeded' | 'MaxPinRetry' | 'MissingPreAuth' | 'InvalidAmount'
+        | 'OneTimePasswordExpired' | 'OneTimePasswordFailed' | 'Pending' | 'SubscriberTooYoung' | 'TimeoutError' | 'Stopped'
+        | 'UserInTransaction' | 'OtherError';
+
+    type SubscriptionInterval = 'weekly' | 'monthly' | 'yearly';
+
+    type StrexUserValidity = 'Unregistered' | 'Partial' | 'Full' | 'Barred';
+
+    /**
+     * Resolved when input does not pass validation, unless throwOnError is set
+     */
+    interface InvalidInput {
+        error: 'InvalidInput';
+        constraints: string[];
+    }
+
+    /**
+     * Resolved when the server responds with an unexpected status, unless throwOnError is set
+     */
+    interface InvalidResponse {
+        error: 'InvalidResponse';
+        status: number;
+        message: unknown;
+    }
+
+    /**
+     * Resolve value of a call. Without throwOnError, invalid input and unexpected responses are resolved as well.
+     */
+    type Result<T, TThrow extends boolean = false> = TThrow extends true ? T : T | InvalidInput | InvalidResponse;
+
+    interface RetryPolicy {
+        /** Total number of attempts, including the first one. Default is 3. */
+        maxAttempts?: number;
+        /** Delay in milliseconds before the first retry. Default is 200. */
+        minDelay?: number;
+        /** Upper bound in milliseconds for a single delay. Default is 10000. */
+        maxDelay?: number;
+        /** Exponential backoff factor. Default is 2. */
+        factor?: number;
+        /** Whether delays are randomized between 0 and the computed backoff. Default is true. */
+        jitter?: boolean;
+        /** Response status codes, which trigger a retry. Default is [408, 429, 500, 502, 503, 504]. */
+        statusCodes?: number[];
+        /** Whether Retry-After response header is used as a delay. Default is true. */
+        respectRetryAfter?: boolean;
+    }
+
+    interface RateLimitParameters extends RateLimiter.RateLimiterParameters {
+        /** Additional limits for calls of the endpoints in a group. */
+        groups?: {
+            outMessages?: RateLimiter.RateLimiterParameters;
+            strex?: RateLimiter.RateLimiterParameters;
+            lookups?: RateLimiter.RateLimiterParameters;
+        };
+    }
+
+    type RateLimitGroup = 'outMessages' | 'strex' | 'lookups';
+
+    interface RateLimitStatus {
+        /** Number of calls waiting to be sent. */
+        pending: number;
+        /** Number of calls sent and waiting for the response. */
+        active: number;
+        /** Statuses of configured groups. */
+        groups: { [group in RateLimitGroup]?: { pending: number; active: number } };
+    }
+
+    interface ClockSkewParameters {
+        /** Whether the skew measured from Date response headers is added to header timestamps. Default is true. */
+        compensate?: boolean;
+        /** Skew in seconds, which emits a TARGET365_CLOCK_SKEW warning. Default is 240. */
+        warnAt?: number;
+    }
+
+    interface ClientParameters<TThrow extends boolean = false> extends Transport.TransportParameters {
+        baseUrl: string;
+        keyName: string;
+        /** Retry policy. Retries are disabled, when not set. */
+        retry?: RetryPolicy;
+        /** Default call timeout in milliseconds. */
+        timeout?: number;
+        /** Whether calls reject with Target365Error subclasses, instead of resolving error objects. */
+        throwOnError?: TThrow;
+        rateLimit?: RateLimitParameters;
+        /** Store of nonces accepted by verifySignature. Default is a MemoryNonceStore. */
+        nonceStore?: NonceStore;
+        clockSkew?: ClockSkewParameters;
+        /** Whether NativeSigner and NativeVerifier are used, which need Node 15.12 or later. Implied for keys given as a Buffer, JWK or KeyObject. */
+        nativeCrypto?: boolean;
+        /** Rejects out-messages needing more segments before sending. Not checked, when not set. */
+        segmentLimit?: SegmentLimit;
+        /** Whether content of out-messages is transliterated to GSM-7 before sending. Default is false. */
+        transliterate?: boolean;
+    }
+
+    type SegmentLimit = smsEncoding.SegmentLimit;
+
+    type SmsAnalysis = smsEncoding.SmsAnalysis;
+
+    type TransliterationReport = smsEncoding.TransliterationReport;
+
+    interface CallOptions {
+        /** Overrides the Client retry policy, false disables retries for the call. */
+        retry?: RetryPolicy | false;
+        /** Overrides the Client timeout. */
+        timeout?: number;
+        /** Cancels the call when aborted. */
+        signal?: AbortSignal;
+        /** Overrides the Client throwOnError. Not reflected in the resolve types. */
+        throwOnError?: boolean;
+        /** Name of the signing key for the call. Calls with a key name don't fail over to other keys. */
+        keyName?: string;
+    }
+
+    interface OutMessageCallOptions extends CallOptions {
+        /** Overrides the Client segmentLimit, false disables the check for the call. */
+        segmentLimit?: SegmentLimit | false;
+        /** Overrides the Client transliterate. */
+        transliterate?: boolean;
+    }
+
+    /** Paging controls and call options of list endpoints. Errors always reject the iteration. */
+    type ListOptions = CallOptions & Paginator.PaginatorParameters;
+
+    interface MiddlewareContext {
+        /** Request method. Can be changed before calling next. */
+        method: 'get' | 'post' | 'put' | 'delete';
+        /** Request URI, including base URL and query string. Can be changed before calling next. */
+        uri: string;
+        /** Additional request headers. Can be changed before calling next. */
+        headers: Record<string, string>;
+        /** Request body as a json string, empty string for no body. Can be changed before calling next. */
+        body: string;
+        /** Name of the signing key. Can be changed to another signing key before calling next. */
+        keyName: string;
+        /** Signed Authorization header. Set when next resolves. */
+        authorization: string | null;
+        /** Response. Set when next resolves. Setting it without calling next short-circuits the call. */
+        response: Recorder.FetchResponse | null;
+        /** Time in milliseconds spent waiting for the response. Set when next resolves. */
+        elapsed: number | null;
+        /** Number of the attempt, starting from 1. */
+        attempt: number;
+        /** Rate limit group of the endpoint. */
+        group: RateLimitGroup | null;
+        /** AbortSignal of the call. */
+        signal: AbortSignal | undefined;
+        /** Call options. */
+        options: CallOptions;
+    }
+
+    type Middleware = (context: MiddlewareContext, next: () => Promise<void>) => Promise<void> | void;
+
+    interface PreAuthSettings {
+        infoText?: string;
+        infoSender?: string;
+        prefixMessage?: string;
+        postfixMessage?: string;
+        delay?: number;
+        merchantId?: string;
+        serviceDescription?: string;
+        active?: boolean;
+    }
+
+    interface Keyword {
+        /** Keyword id returned by Target365. */
+        keywordId?: string;
+        /** Short number associated with keyword. */
+        shortNumberId: string;
+        keywordText: string;
+        mode: KeywordMode;
+        /** Keyword forward url to post incoming messages. */
+        forwardUrl: string;
+        enabled: boolean;
+        created?: string;
+        lastModified?: string;
+        /** Custom properties associated with keyword. Will be propagated to incoming messages. */
+        customProperties?: Record<string, unknown>;
+        /** Tags associated with keyword. Can be used for statistics and grouping. */
+        tags?: string[];
+        /** Alias keywords associated with keyword. */
+        aliases?: string[];
+        preAuthSettings?: PreAuthSettings;
+    }
+
+    type DesiredKeyword = keywordSync.DesiredKeyword;
+    type KeywordSyncPlan = keywordSync.KeywordSyncPlan;
+
+    interface KeywordSyncSettings {
+        /** Short number the sync is limited to, and default shortNumberId of desired keywords. */
+        shortNumberId?: string;
+        /** Tag the sync is limited to. */
+        tag?: string;
+        /** Whether the plan is only returned, without applying it. */
+        dryRun?: boolean;
+        /** Whether keywords, which are not desired, are deleted. Requires shortNumberId or tag. Default is false. */
+        allowDelete?: boolean;
+    }
+
+    interface KeywordSyncItemResult {
+        action: 'create' | 'update' | 'delete';
+        shortNumberId: string;
+        keywordText: string;
+        keywordId: string | null;
+        /** Skipped for deletes, which are not allowed. */
+        status: 'planned' | 'applied' | 'failed' | 'skipped';
+        error: unknown;
+    }
+
+    interface KeywordSyncResult {
+        plan: KeywordSyncPlan;
+        results: KeywordSyncItemResult[];
+    }
+
+    interface KeywordFilter {
+        /** Exact match. */
+        shortNumberId?: string;
+        /** Contains match. */
+        keywordText?: string;
+        /** Exact match. */
+        mode?: KeywordMode;
+        /** Exact match. */
+        tag?: string;
+    }
+
+    interface StrexData {
+        merchantId: string;
+        serviceCode: string;
+        businessModel?: string;
+        /** Service id used for pre-authorizations and recurring billing. */
+        preAuthServiceId?: string;
+        /** Service description used for pre-authorizations and recurring billing. */
+        preAuthServiceDescription?: string;
+        age?: number;
+        isRestricted?: boolean;
+        invoiceText: string;
+        price: number;
+        /** Timeout in minutes for transactions which trigger end user registration. Default is 5. */
+        timeout?: number;
+    }
+
+    interface OutMessage {
+        /** Transaction id. Must be unique per message if used. */
+        transactionId?: string;
+        sessionId?: string;
+        correlationId?: string;
+        keywordId?: string;
+        /** Alphanumeric string, phone number or short number. */
+        sender: string;
+        /** Recipient phone number. */
+        recipient: string;
+        content: string;
+        /** Send time, in UTC. If omitted the send time is set to ASAP. */
+        sendTime?: string;
+        /** Time-To-Live in minutes, between 5 and 1440. Default is 120. */
+        timeToLive?: number;
+        priority?: Priority;
+        deliveryMode?: DeliveryMode;
+        strex?: StrexData;
+        deliveryReportUrl?: string;
+        /** True to allow unicode SMS, false to fail if content is unicode. */
+        allowUnicode?: boolean;
+        smscTransactionId?: string;
+        smscMessageParts?: number;
+        lastModified?: string;
+        created?: string;
+        statusCode?: StatusCode;
+        detailedStatusCode?: DetailedStatusCode;
+        statusDescription?: string;
+        delivered?: boolean;
+        /** Operator id (from delivery report). */
+        operatorId?: string;
+        billed?: boolean;
+        properties?: Record<string, unknown>;
+        tags?: string[];
+    }
+
+    /**
+     * Out-message as it is returned by the server, where unknown statuses are null
+     */
+    interface OutMessageResult extends Omit<OutMessage, 'delivered' | 'billed'> {
+        transactionId: string;
+        delivered?: boolean | null;
+        billed?: boolean | null;
+    }
+
+    interface SendManySettings {
+        /** Number of out-messages per batch, between 1 and 100. Default is 100. */
+        chunkSize?: number;
+        /** Number of batches posted at the same time. Default is 4. */
+        concurrency?: number;
+    }
+
+    type SendStatus = 'accepted' | 'invalid' | 'failed';
+
+    interface SendOutcome {
+        /** Index of the out-message in the sent array. */
+        index: number;
+        transactionId: string;
+        status: SendStatus;
+        /** Validation messages of invalid out-messages, otherwise null. */
+        constraints: string[] | null;
+        /** Error of the failed batch, otherwise null. */
+        error: unknown;
+        /** Index of the batch, null for invalid out-messages. */
+        chunk: number | null;
+    }
+
+    interface SendChunk {
+        index: number;
+        outMessages: Array<OutMessage & { transactionId: string }>;
+        status: 'accepted' | 'failed';
+        error: unknown;
+    }
+
+    interface SendManyResult {
+        outcomes: SendOutcome[];
+        chunks: SendChunk[];
+        accepted: number;
+        invalid: number;
+        failed: number;
+        /** Posts the failed batches again, with the same transaction ids. */
+        retryFailed(options?: OutMessageCallOptions): Promise<SendManyResult>;
+    }
+
+    interface InMessage {
+        transactionId: string;
+        correlationId?: string | null;
+        keywordId?: string | null;
+        created: string;
+        sender: string;
+        recipient: string;
+        content: string;
+        isStopMessage?: boolean;
+        properties?: Record<string, unknown>;
+        tags?: string[];
+    }
+
+    /**
+     * Delivery report, as forwarded to the out-message deliveryReportUrl
+     */
+    interface DeliveryReport {
+        correlationId: string | null;
+        transactionId: string;
+        price: number | null;
+        sender: string;
+        recipient: string;
+        operatorId: string | null;
+        statusCode: StatusCode;
+        detailedStatusCode: DetailedStatusCode;
+        delivered: boolean | null;
+        billed: boolean | null;
+        smscTransactionId: string | null;
+        smscMessageParts: number | null;
+    }
+
+    interface LookupResult {
+        created?: string;
+        msisdn: string;
+        landline?: string | null;
+        firstName?: string | null;
+        middleName?: string | null;
+        lastName?: string | null;
+        companyName?: string | null;
+        companyOrgNo?: string | null;
+        streetName?: string | null;
+        streetNumber?: string | null;
+        streetLetter?: string | null;
+        zipCode?: string | null;
+        city?: string | null;
+        gender?: string | null;
+        dateOfBirth?: string | null;
+        age?: number | null;
+        deceasedDate?: string | null;
+    }
+
+    interface StrexMerchant {
+        merchantId: string;
+        shortNumberId?: string;
+        shortNumberIds?: string[];
+        [field: string]: unknown;
+    }
+
+    interface OneTimePassword {
+        transactionId: string;
+        merchantId: string;
+        /** Recipient phone number. */
+        recipient: string;
+        /** SMS sender (originator). */
+        sender?: string;
+        /** Whether one-time password is for recurring payment. */
+        recurring: boolean;
+        /** Prepended to the standard Strex SMS message. */
+        messagePrefix?: string;
+        /** Appended to the standard Strex SMS message. */
+        messageSuffix?: string;
+        /** @deprecated Use messagePrefix and messageSuffix instead. */
+        message?: string;
+        /** Time-To-Live in minutes, between 1 and 1440. Default is 2. */
+        timeToLive?: number;
+        delivered?: boolean;
+    }
+
+    interface StrexTransaction {
+        transactionId: string;
+        sessionId?: string;
+        correlationId?: string;
+        shortNumber: string;
+        recipient?: string;
+        /** SMS text message content (not used for direct billing). */
+        content?: string;
+        /** Used with previously sent one-time passwords. */
+        oneTimePassword?: string;
+        deliveryMode?: DeliveryMode;
+        statusCode?: StatusCode;
+        detailedStatusCode?: DetailedStatusCode;
+        statusDescription?: string;
+        smscTransactionId?: string;
+        created?: string;
+        lastModified?: string;
+        merchantId: string;
+        serviceCode: string;
+        businessModel?: string;
+        preAuthServiceId?: string;
+        preAuthServiceDescription?: string;
+        age?: number;
+        isRestricted?: boolean;
+        smsConfirmation?: boolean;
+        invoiceText: string;
+        price: number;
+        timeout?: number;
+        tags?: string[];
+        properties?: Record<string, unknown>;
+        billed?: boolean;
+        resultCode?: string;
+        resultDescription?: string;
+    }
+
+    interface OneClickConfig {
+        configId: string;
+        shortNumber: string;
+        merchantId: string;
+        serviceCode: string;
+        businessModel?: string;
+        preAuthServiceId?: string;
+        preAuthServiceDescription?: string;
+        /** Whether this config is for setting up subscriptions and recurring payments. */
+        isRecurring?: boolean;
+        redirectUrl: string;
+        /** Used when msisdn detection is online and PIN-code can be skipped. */
+        onlineText?: string;
+        /** Used when msisdn detection is offline and SMS pincode is used. */
+        offlineText?: string;
+        age?: number;
+        isRestricted?: boolean;
+        invoiceText: string;
+        price: number;
+        /** Displayed to user if isRecurring is true. */
+        subscriptionPrice?: number;
+        /** Displayed to user if isRecurring is true. */
+        subscriptionInterval?: SubscriptionInterval;
+        /** SMS sent to the user when subscription starts. */
+        subscriptionStartSms?: string;
+        timeout?: number;
+        created?: string;
+        lastModified?: string;
+    }
+
+    interface Pincode {
+        transactionId: string;
+        recipient: string;
+        sender: string;
+        /** Prepended to the pincode in the SMS message. */
+        prefixText?: string;
+        /** Appended to the pincode in the SMS message. */
+        suffixText?: string;
+    }
+
+    interface PublicKey {
+        name: string;
+        publicKeyString: string;
+        signAlgo?: string;
+        hashAlgo?: string;
+        expiry?: string | null;
+        created?: string;
+        lastModified?: string;
+    }
+
+    type KeyPair = keys.KeyPair;
+
+    interface SigningKey {
+        keyName: string;
+        privateKey: NativeSignerClass.KeyInput | ExternalSignerClass.SignerLike;
+    }
+
+    interface KeyRotation {
+        /** Name of the new key. */
+        keyName: string;
+        /** Private key of the new key. Generated if omitted. */
+        privateKey?: NativeSignerClass.KeyInput | ExternalSignerClass.SignerLike;
+        /** Public key of the new key in SPKI format. Required when privateKey is given. */
+        publicKeyString?: string;
+        expiry?: string;
+        /** Whether the old public key is deleted. Default is true. */
+        retire?: boolean;
+    }
+
+    interface KeyRotationResult {
+        keyName: string;
+        previousKeyName: string;
+        /** Generated private key in PEM format, null when privateKey was given. */
+        privateKey: string | null;
+        /** Generated public key in PEM format, null when privateKey was given. */
+        publicKey: string | null;
+    }
+
+    const generateKeyPair: typeof keys.generateKeyPair;
+    const analyzeSms: typeof smsEncoding.analyzeSms;
+    const transliterate: typeof smsEncoding.transliterate;
+
+    const Signer: typeof SignerClass;
+    type Signer = SignerClass;
+    const Verifier: typeof VerifierClass;
+    type Verifier = VerifierClass;
+    const NativeSigner: typeof NativeSignerClass;
+    type NativeSigner = NativeSignerClass;
+    const NativeVerifier: typeof NativeVerifierClass;
+    type NativeVerifier = NativeVerifierClass;
+    const ExternalSigner: typeof ExternalSignerClass;
+    type ExternalSigner = ExternalSignerClass;
+
+    const Target365Error: typeof errors.Target365Error;
+    type Target365Error = errors.Target365Error;
+    const Target365TimeoutError: typeof errors.Target365TimeoutError;
+    type Target365TimeoutError = errors.Target365TimeoutError;
+    const Target365AbortError: typeof errors.Target365AbortError;
+    type Target365AbortError = errors.Target365AbortError;
+    const Target365ValidationError: typeof errors.Target365ValidationError;
+    type Target365ValidationError = errors.Target365ValidationError;
+    const Target365ApiError: typeof errors.Target365ApiError;
+    type Target365ApiError = errors.Target365ApiError;
+    const Target365NotFoundError: typeof errors.Target365NotFoundError;
+    type Target365NotFoundError = errors.Target365NotFoundError;
+    const Target365AuthError: typeof errors.Target365AuthError;
+    type Target365AuthError = errors.Target365AuthError;
+    const Target365NetworkError: typeof errors.Target365NetworkError;
+    type Target365NetworkError = errors.Target365NetworkError;
+}
+
+/**
+ * Target365 client. TThrow is inferred from the throwOnError parameter, and decides whether resolve types include
+ * InvalidInput and InvalidResponse.
+ */
+declare class Client<TThrow extends boolean = false> {
+    /**
+     * @param ecPrivateKeyAsString Private key as a string in PKCS#8 format, as a Buffer, JWK or KeyObject, or an
+     * external signer, which signs requests asynchronously
+     */
+    constructor(ecPrivateKeyAsString: NativeSignerClass.KeyInput | ExternalSignerClass.SignerLike, parameters: Client.ClientParameters<TThrow>);
+
+    /**
+     * @param keys Signing keys in order of preference. Calls rejected with 401 or 403 are repeated once with the next key.
+     */
+    constructor(keys: Client.SigningKey[], parameters: Omit<Client.ClientParameters<TThrow>, 'keyName'>);
+
+    getSigner(): Client.Signer | Client.NativeSigner | Client.ExternalSigner;
+
+    /** Gets name of the key requests are signed with. */
+    getKeyName(): string;
+
+    /** Gets names of the signing keys in order of preference. */
+    getKeyNames(): string[];
+
+    /** Switches the key requests are signed with, adding it in front of the other keys. */
+    setSigningKey(ecPrivateKey: NativeSignerClass.KeyInput | ExternalSignerClass.SignerLike, keyName: string): void;
+
+    /** Removes a signing key. Throws for the last key. */
+    removeSigningKey(keyName: string): void;
+
+    getRateLimitStatus(): Client.RateLimitStatus;
+
+    /** Gets clock skew in milliseconds (server time minus local time), null before the first response. */
+    getClockSkew(): number | null;
+
+    /** Adds a middleware to the end of the chain, which runs for every call attempt. */
+    use(middleware: Client.Middleware): this;
+
+    ping(options?: Client.CallOptions): Promise<Client.Result<string, TThrow>>;
+
+    getKeywords(filter?: Client.KeywordFilter, options?: Client.CallOptions): Promise<Client.Result<Client.Keyword[], TThrow>>;
+
+    readonly keywords: {
+        /** Lists keywords, parsing them as they arrive. */
+        list(filter?: Client.KeywordFilter, options?: Client.ListOptions): Paginator<Client.Keyword>;
+    };
+
+    /** Resolves to the id of the created keyword. */
+    postKeyword(keyword: Client.Keyword, options?: Client.CallOptions): Promise<Client.Result<string, TThrow>>;
+
+    getKeyword(keywordId: string, options?: Client.CallOptions): Promise<Client.Result<Client.Keyword | null, TThrow>>;
+
+    putKeyword(keyword: Client.Keyword & { keywordId: string }, options?: Client.CallOptions): Promise<Client.Result<'', TThrow>>;
+
+    deleteKeyword(keywordId: string, options?: Client.CallOptions): Promise<Client.Result<'', TThrow>>;
+
+    /** Syncs keywords to a desired state, creating, updating and (with allowDelete) deleting keywords. */
+    syncKeywords(desired: Client.DesiredKeyword[], settings?: Client.KeywordSyncSettings, options?: Client.CallOptions): Promise<Client.Result<Client.KeywordSyncResult, TThrow>>;
+
+    addressLookup(msisdn: string, options?: Client.CallOptions): Promise<Client.Result<Client.LookupResult | null, TThrow>>;
+
+    prepareMsisdns(msisdns: string[], options?: Client.CallOptions): Promise<Client.Result<'', TThrow>>;
+
+    /** Resolves to the transaction ids of the posted out-messages, in the same order. Messages are posted as they are. */
+    postOutMessageBatch(outMessages: Client.OutMessage[], options?: Client.OutMessageCallOptions): Promise<Client.Result<string[], TThrow>>;
+
+    /** Sends out-messages in concurrent batches. Resolves to an outcome per out-message, failed batches don't reject. */
+    sendMany(outMessages: Client.OutMessage[], settings?: Client.SendManySettings, options?: Client.OutMessageCallOptions): Promise<Client.Result<Client.SendManyResult, TThrow>>;
+
+    /** Resolves to the transaction id of the created out-message. */
+    postOutMessage(outMessage: Client.OutMessage, options?: Client.OutMessageCallOptions): Promise<Client.Result<string, TThrow>>;
+
+    getOutMessage(transactionId: string, options?: Client.CallOptions): Promise<Client.Result<Client.OutMessageResult | null, TThrow>>;
+
+    putOutMessage(outMessage: Client.OutMessage & { transactionId: string }, options?: Client.CallOptions): Promise<Client.Result<'', TThrow>>;
+
+    deleteOutMessage(transactionId: string, options?: Client.CallOptions): Promise<Client.Result<'', TThrow>>;
+
+    /** Resolves to the export in CSV format. */
+    getOutMessageExport(from: string, to: string, options?: Client.CallOptions): Promise<Client.Result<string, TThrow>>;
+
+    getInMessage(shortNumberId: string, transactionId: string, options?: Client.CallOptions): Promise<Client.Result<Client.InMessage | null, TThrow>>;
+
+    getMerchantIds(options?: Client.CallOptions): Promise<Client.Result<Client.StrexMerchant[], TThrow>>;
+
+    readonly merchants: {
+        list(options?: Client.ListOptions): Paginator<Client.StrexMerchant>;
+    };
+
+    getMerchantId(merchantId: string, options?: Client.CallOptions): Promise<Client.Result<Client.StrexMerchant | null, TThrow>>;
+
+    /** Resolves to the transaction id of the created one-time password. */
+    postStrexOneTimePassword(oneTimePassword: Client.OneTimePassword, options?: Client.CallOptions): Promise<Client.Result<string, TThrow>>;
+
+    getStrexOneTimePassword(transactionId: string, options?: Client.CallOptions): Promise<Client.Result<Client.OneTimePassword | null, TThrow>>;
+
+    /** Resolves to the transaction id of the created transaction. */
+    postStrexTransaction(transaction: Client.StrexTransaction, options?: Client.CallOptions): Promise<Client.Result<string, TThrow>>;
+
+    getStrexTransaction(transactionId: string, options?: Client.CallOptions): Promise<Client.Result<Client.StrexTransaction | null, TThrow>>;
+
+    /** Resolves to the transaction id of the reversal. */
+    reverseStrexTransaction(transactionId: string, options?: Client.CallOptions): Promise<Client.Result<string, TThrow>>;
+
+    getStrexUserValidity(recipient: string, merchantId?: string, options?: Client.CallOptions): Promise<Client.Result<Client.StrexUserValidity | null, TThrow>>;
+
+    putOneClickConfig(config: Client.OneClickConfig, options?: Client.CallOptions): Promise<Client.Result<'', TThrow>>;
+
+    getOneClickConfig(configId: string, options?: Client.CallOptions): Promise<Client.Result<Client.OneClickConfig | null, TThrow>>;
+
+    postPincode(pincode: Client.Pincode, options?: Client.CallOptions): Promise<Client.Result<'', TThrow>>;
+
+    getPincodeVerification(transactionId: string, pincode: string, options?: Client.CallOptions): Promise<Client.Result<boolean | null, TThrow>>;
+
+    verifySignature(method: string, uri: string, content: string, xEcdsaSignatureString: string, options?: Client.CallOptions): Promise<Client.Result<boolean, TThrow>>;
+
+    getServerPublicKey(keyName: string, options?: Client.CallOptions): Promise<Client.Result<Client.PublicKey | null, TThrow>>;
+
+    getClientPublicKeys(options?: Client.CallOptions): Promise<Client.Result<Client.PublicKey[], TThrow>>;
+
+    readonly clientPublicKeys: {
+        list(options?: Client.ListOptions): Paginator<Client.PublicKey>;
+    };
+
+    getClientPublicKey(keyName: string, options?: Client.CallOptions): Promise<Client.Result<Client.PublicKey | null, TThrow>>;
+
+    postClientPublicKey(publicKey: Client.PublicKey, options?: Client.CallOptions): Promise<Client.Result<Client.PublicKey, TThrow>>;
+
+    deleteClientPublicKey(keyName: string, options?: Client.CallOptions): Promise<Client.Result<'', TThrow>>;
+
+    /** Registers a new key, switches to it, confirms it with ping and deletes the old key. Always rejects on errors. */
+    rotateClientKey(rotation: Client.KeyRotation, options?: Client.CallOptions): Promise<Client.KeyRotationResult>;
+}
+
+export = Client;
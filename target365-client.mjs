@@ -0,0 +1,46 @@
+/**
+ * ES module entry. Wraps the CommonJS modules, so both entries share the same classes and instanceof checks work
+ * across them.
+ */
+import Client from './target365-client.js';
+import Signer from './lib/signer.js';
+import Verifier from './lib/verifier.js';
+import NativeSigner from './lib/native-signer.js';
+import NativeVerifier from './lib/native-verifier.js';
+import ExternalSigner from './lib/external-signer.js';
+import ProcessSigner from './lib/process-signer.js';
+import keys from './lib/keys.js';
+import Paginator from './lib/paginator.js';
+import SmsTemplate from './lib/sms-template.js';
+import errors from './lib/errors.js';
+import Transport from './lib/transport.js';
+import RateLimiter from './lib/rate-limiter.js';
+import Recorder from './lib/recorder.js';
+import Webhook from './lib/webhook.js';
+import WebhookVerifier from './lib/webhook-verifier.js';
+import nonceStores from './lib/nonce-store.js';
+import keywordMatcher from './lib/keyword-matcher.js';
+import smsEncoding from './lib/sms-encoding.js';
+
+export const {
+    Target365Error,
+    Target365TimeoutError,
+    Target365AbortError,
+    Target365ValidationError,
+    Target365ApiError,
+    Target365NotFoundError,
+    Target365AuthError,
+    Target365NetworkError
+} = errors;
+
+export const { MemoryNonceStore, FileNonceStore } = nonceStores;
+
+export const { generateKeyPair } = keys;
+
+export const { matchKeyword, matchingKeywords, analyzeKeywordConflicts } = keywordMatcher;
+
+export const { analyzeSms, transliterate, operatorSegmentLimits } = smsEncoding;
+
+export { Client, Signer, Verifier, NativeSigner, NativeVerifier, ExternalSigner, ProcessSigner, Paginator, SmsTemplate, Transport, RateLimiter, Recorder, Webhook, WebhookVerifier };
+
+export default Client;
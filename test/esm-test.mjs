@@ -0,0 +1,29 @@
+import { createRequire } from 'module';
+import chai from 'chai';
+
+import Client, { Client as NamedClient, Signer, Verifier, Target365Error, Target365ApiError, Recorder } from 'target365-sdk';
+import VerifierEntry from 'target365-sdk/verifier';
+import { Target365AuthError } from 'target365-sdk/errors';
+
+const expect = chai.expect;
+const require = createRequire(import.meta.url);
+
+describe('ESM', () => {
+    it('named exports should be the CommonJS classes', () => {
+        const CommonClient = require('target365-sdk');
+
+        expect(Client).to.equal(CommonClient);
+        expect(NamedClient).to.equal(CommonClient);
+        expect(Signer).to.equal(CommonClient.Signer);
+        expect(Verifier).to.equal(CommonClient.Verifier);
+        expect(Target365ApiError).to.equal(CommonClient.Target365ApiError);
+        expect(Recorder).to.equal(require('../lib/recorder.js'));
+    });
+
+    it('subpath exports should resolve to the same classes', () => {
+        expect(VerifierEntry).to.equal(Verifier);
+        expect(new Target365AuthError(401, null, null)).to.be.instanceOf(Target365Error);
+        expect(require('target365-sdk/verifier')).to.equal(Verifier);
+        expect(require('target365-sdk/lib/fake-server')).to.equal(require('../lib/fake-server.js'));
+    });
+});
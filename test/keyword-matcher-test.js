@@ -0,0 +1,65 @@
+const expect = require('chai').expect;
+
+const { matchKeyword, matchingKeywords, analyzeKeywordConflicts } = require('../lib/keyword-matcher.js');
+
+describe('KeywordMatcher', () => {
+    const keyword = (keywordId, keywordText, mode, fields) => Object.assign({
+        keywordId: keywordId,
+        shortNumberId: 'NO-0000',
+        keywordText: keywordText,
+        mode: mode,
+        forwardUrl: 'https://www.example.com',
+        enabled: true
+    }, fields);
+
+    it('message should be matched by mode, aliases and enabled', () => {
+        const keywords = [
+            keyword('1', '^H', 'Regex'),
+            keyword('2', 'HEL*', 'Wildcard'),
+            keyword('3', 'HELLO', 'Text', { aliases: ['HI'], customProperties: { campaign: 'hello' } }),
+            keyword('4', 'STOP', 'Text', { enabled: false }),
+            keyword('5', 'STOP', 'Text', { shortNumberId: 'NO-1111' })
+        ];
+        const match = matchKeyword(keywords, '  hello   World', { shortNumberId: 'NO-0000' });
+
+        expect(match.keyword.keywordId).to.equal('3');
+        expect(match.matchedText).to.equal('HELLO');
+        expect(match.customProperties).to.deep.equal({ campaign: 'hello' });
+        expect(matchingKeywords(keywords, 'hello world').map((m) => m.keyword.keywordId)).to.deep.equal(['3', '2', '1']);
+        expect(matchKeyword(keywords, 'Hi there').matchedText).to.equal('HI');
+        expect(matchKeyword(keywords, 'HELLOWORLD').keyword.keywordId).to.equal('2');
+        expect(matchKeyword(keywords, 'hmm').keyword.keywordId).to.equal('1');
+        expect(matchKeyword(keywords, 'stop', { shortNumberId: 'NO-0000' })).to.equal(null);
+        expect(matchKeyword(keywords, 'stop').keyword.keywordId).to.equal('5');
+    });
+
+    it('more specific wildcards should win over less specific ones', () => {
+        const keywords = [keyword('1', '*', 'Wildcard'), keyword('2', 'WIN ?', 'Wildcard'), keyword('3', 'WIN*', 'Wildcard')];
+
+        expect(matchKeyword(keywords, 'win 5').keyword.keywordId).to.equal('2');
+        expect(matchKeyword(keywords, 'win 50').keyword.keywordId).to.equal('3');
+        expect(matchKeyword(keywords, 'lose').keyword.keywordId).to.equal('1');
+    });
+
+    it('conflicts should be reported per short number', () => {
+        const keywords = [
+            keyword('1', 'HELLO', 'Text'),
+            keyword('2', 'HI', 'Text', { aliases: ['hello'] }),
+            keyword('3', 'HEL*', 'Wildcard'),
+            keyword('4', 'HELLO', 'Wildcard'),
+            keyword('5', '([', 'Regex'),
+            keyword('6', 'HELLO', 'Text', { shortNumberId: 'NO-1111' })
+        ];
+        const conflicts = analyzeKeywordConflicts(keywords)
+            .map((conflict) => [conflict.type, conflict.keyword.keywordId, conflict.conflictingKeyword && conflict.conflictingKeyword.keywordId].join(' '));
+
+        expect(conflicts).to.deep.equal([
+            'overlap 1 4',
+            'overlap 1 3',
+            'duplicate 2 1',
+            'shadowed 4 1',
+            'unreachable 4 ',
+            'invalidRegex 5 '
+        ]);
+    });
+});
@@ -0,0 +1,49 @@
+const expect = require('chai').expect;
+
+const { planKeywordSync } = require('../lib/keyword-sync.js');
+
+describe('KeywordSync', () => {
+    const keyword = (keywordId, keywordText, fields) => Object.assign({
+        keywordId: keywordId,
+        shortNumberId: 'NO-0000',
+        keywordText: keywordText,
+        mode: 'Text',
+        forwardUrl: 'https://www.example.com',
+        enabled: true,
+        created: '2020-01-01T00:00:00+00:00',
+        preAuthSettings: null
+    }, fields);
+
+    it('keywords should be planned for create, update, delete and unchanged', () => {
+        const current = [
+            keyword('1', 'HELLO', { aliases: ['HI', 'HEY'], customProperties: { a: 1, b: 2 } }),
+            keyword('2', 'STOP', { tags: ['old'] }),
+            keyword('3', 'OLD')
+        ];
+        const desired = [
+            { keywordText: 'hello', mode: 'Text', forwardUrl: 'https://www.example.com', enabled: true, aliases: ['HEY', 'HI'], customProperties: { b: 2, a: 1 } },
+            { keywordText: 'STOP', mode: 'Text', forwardUrl: 'https://www.example.com', enabled: false, preAuthSettings: { active: true, merchantId: 'M' } },
+            { keywordText: 'NEW', mode: 'Wildcard', forwardUrl: 'https://www.example.com', enabled: true }
+        ];
+
+        const plan = planKeywordSync(current, desired, { shortNumberId: 'NO-0000' });
+
+        expect(plan.creates).to.deep.equal([Object.assign({ shortNumberId: 'NO-0000' }, desired[2])]);
+        expect(plan.updates.map((update) => [update.keyword.keywordId, update.changes])).to.deep.equal([
+            ['1', ['keywordText']],
+            ['2', ['enabled', 'preAuthSettings']]
+        ]);
+        expect(plan.updates[1].keyword.tags).to.deep.equal(['old']);
+        expect(plan.updates[1].keyword).not.to.have.property('created');
+        expect(plan.deletes.map((found) => found.keywordId)).to.deep.equal(['3']);
+        expect(plan.unchanged).to.deep.equal([]);
+    });
+
+    it('omitted fields should not be compared', () => {
+        const current = [keyword('1', 'HELLO', { aliases: ['HI'], tags: ['campaign'] })];
+        const plan = planKeywordSync(current, [{ shortNumberId: 'NO-0000', keywordText: 'HELLO', mode: 'Text', forwardUrl: 'https://www.example.com', enabled: true }]);
+
+        expect(plan.unchanged.map((found) => found.keywordId)).to.deep.equal(['1']);
+        expect(plan.updates).to.have.lengthOf(0);
+    });
+});
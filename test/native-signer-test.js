@@ -0,0 +1,87 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const expect = require('chai').expect;
+
+const Client = require('../target365-client.js');
+const Signer = require('../lib/signer.js');
+const Verifier = require('../lib/verifier.js');
+const NativeSigner = require('../lib/native-signer.js');
+const NativeVerifier = require('../lib/native-verifier.js');
+const FakeServer = require('../lib/fake-server.js');
+
+const privateKey = fs.readFileSync('./test/private.key', 'utf8');
+const publicKey = fs.readFileSync('./test/public.key', 'utf8');
+const keyObject = crypto.createPrivateKey({ key: Buffer.from(privateKey.replace(/-----[A-Z ]+-----/g, '').replace(/\s/g, ''), 'base64'), format: 'der', type: 'pkcs8' });
+
+describe('NativeSigner', () => {
+    const message = 'posthttps://test.target365.io/api/out-messages1574953585nonce';
+
+    it('signatures should be interchangeable with Signer and Verifier', () => {
+        const nativeSignature = new NativeSigner(privateKey).sign(message);
+        const signature = new Signer(privateKey).sign(message);
+
+        expect(Buffer.from(nativeSignature, 'base64')).to.have.lengthOf(64);
+        expect(new Verifier(publicKey).verify(message, nativeSignature)).to.equal(true);
+        expect(new NativeVerifier(publicKey).verify(message, signature)).to.equal(true);
+        expect(new NativeVerifier(publicKey).verify(message + ' ', signature)).to.equal(false);
+        expect(new NativeVerifier(publicKey).verify(message, 'AAAA')).to.equal(false);
+    });
+
+    it('keys should be accepted as PEM, DER, JWK and KeyObject', () => {
+        const publicKeyObject = crypto.createPublicKey(keyObject);
+        const signers = [
+            keyObject.export({ format: 'pem', type: 'pkcs8' }),
+            keyObject.export({ format: 'der', type: 'pkcs8' }),
+            keyObject.export({ format: 'jwk' }),
+            JSON.stringify(keyObject.export({ format: 'jwk' })),
+            keyObject
+        ].map((key) => new NativeSigner(key));
+        const verifiers = [
+            publicKey,
+            publicKeyObject.export({ format: 'der', type: 'spki' }),
+            publicKeyObject.export({ format: 'jwk' }),
+            publicKeyObject,
+            keyObject
+        ].map((key) => new NativeVerifier(key));
+
+        signers.forEach((signer, index) => expect(verifiers[index].verify(message, signer.sign(message))).to.equal(true));
+        expect(() => new NativeSigner(publicKeyObject)).to.throw(TypeError);
+        expect(() => new NativeSigner(42)).to.throw(TypeError);
+    });
+
+    it('headers should be signed in the Signer format', () => {
+        const signer = new NativeSigner(privateKey);
+        signer.setClockOffset(60000);
+
+        const header = signer.signHeader('JavaSdkTest', 'POST', 'https://test.target365.io/api/Out-Messages', '{}');
+        const [keyName, timestamp, nonce, sign] = header.replace(/^HMAC /, '').split(':');
+
+        expect(header.indexOf('HMAC JavaSdkTest:')).to.equal(0);
+        expect(parseInt(timestamp, 10)).to.be.within(Math.floor(Date.now() / 1000) + 59, Math.floor(Date.now() / 1000) + 61);
+        expect(new Verifier(publicKey).verifyHeader('post', 'https://test.target365.io/api/out-messages', timestamp, nonce, '{}', sign)).to.equal(true);
+        expect(keyName).to.equal('JavaSdkTest');
+    });
+
+    describe('with client', () => {
+        const server = new FakeServer();
+        let baseUrl;
+
+        before(async () => {
+            baseUrl = await server.start();
+            server.registerClientKey('JavaSdkTest', publicKey);
+        });
+
+        after(() => server.stop());
+
+        it('client should sign with NativeSigner when nativeCrypto is set or key is not a string', () => {
+            const clients = [
+                new Client(privateKey, { baseUrl, keyName: 'JavaSdkTest', nativeCrypto: true }),
+                new Client(keyObject, { baseUrl, keyName: 'JavaSdkTest' })
+            ];
+
+            expect(clients.every((client) => client.getSigner() instanceof NativeSigner)).to.equal(true);
+            return Promise.all(clients.map((client) => client.ping()))
+                .then((pongs) => expect(pongs).to.deep.equal(['pong', 'pong']));
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { MemoryNonceStore, FileNonceStore } = require('../lib/nonce-store.js');
+
+describe('NonceStore', () => {
+    describe('MemoryNonceStore', () => {
+        it('nonce should be accepted once until it expires', () => {
+            const store = new MemoryNonceStore();
+
+            expect(store.add('nonce-1', Date.now() + 1000)).to.equal(true);
+            expect(store.add('nonce-1', Date.now() + 1000)).to.equal(false);
+            expect(store.add('nonce-2', Date.now() - 1)).to.equal(true);
+            expect(store.add('nonce-2', Date.now() + 1000)).to.equal(true);
+        });
+
+        it('least recently added nonces should be evicted over maxSize', () => {
+            const store = new MemoryNonceStore({ maxSize: 2 });
+            const expires = Date.now() + 1000;
+
+            ['nonce-1', 'nonce-2', 'nonce-3'].forEach((nonce) => store.add(nonce, expires));
+
+            expect(store.getSize()).to.equal(2);
+            expect(store.add('nonce-3', expires)).to.equal(false);
+            expect(store.add('nonce-1', expires)).to.equal(true);
+        });
+    });
+
+    describe('FileNonceStore', () => {
+        let dir;
+
+        beforeEach(() => dir = fs.mkdtempSync(path.join(os.tmpdir(), 'target365-nonces-')));
+
+        afterEach(() => {
+            fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        });
+
+        it('nonces should survive restarts', () => {
+            const file = path.join(dir, 'nonces');
+            const store = new FileNonceStore({ path: file });
+
+            return Promise.all([store.add('nonce-1', Date.now() + 60000), store.add('nonce-1', Date.now() + 60000), store.add('nonce-2', Date.now() - 1)])
+                .then((added) => expect(added).to.deep.equal([true, false, true]))
+                .then(() => {
+                    const restarted = new FileNonceStore({ path: file });
+
+                    return Promise.all([restarted.add('nonce-1', Date.now() + 60000), restarted.add('nonce-2', Date.now() + 60000)]);
+                })
+                .then((added) => expect(added).to.deep.equal([false, true]));
+        });
+
+        it('file should be compacted, dropping expired nonces', () => {
+            const file = path.join(dir, 'nonces');
+            const store = new FileNonceStore({ path: file });
+            const nonces = Array.from({ length: 150 }, (value, index) => 'nonce-' + index);
+
+            return nonces.reduce((chain, nonce, index) => chain.then(() => store.add(nonce, Date.now() + (index < 140 ? -1 : 60000))), Promise.resolve())
+                .then(() => {
+                    const lines = fs.readFileSync(file, 'utf8').split('\n').filter((line) => line);
+
+                    expect(lines.length).to.be.below(150);
+                    expect(lines.some((line) => line.endsWith(' nonce-149'))).to.equal(true);
+                });
+        });
+    });
+});
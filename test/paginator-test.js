@@ -0,0 +1,59 @@
+const expect = require('chai').expect;
+const { Readable } = require('stream');
+
+const Paginator = require('../lib/paginator.js');
+
+/**
+ * Collects items of an async iterable
+ *
+ * @param iterable Async iterable
+ * @returns Promise, which resolves to an array of items
+ */
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+};
+
+describe('Paginator', () => {
+    it('array elements should be parsed across chunk boundaries', () => {
+        const json = Buffer.from(' [{"text":"a,]\\"b"},{"list":[1,{"nested":"æøå"}]}, 5 ,"c]" ,null]');
+        const chunks = [];
+
+        for (let i = 0; i < json.length; i += 3) {
+            chunks.push(json.slice(i, i + 3));
+        }
+
+        return collect(Paginator.parseJsonArray(chunks))
+            .then((items) => expect(items).to.deep.equal([{ text: 'a,]"b' }, { list: [1, { nested: 'æøå' }] }, 5, 'c]', null]));
+    });
+
+    it('malformed arrays should be rejected', () => {
+        return collect(Paginator.parseJsonArray(['{"message":"error"}']))
+            .then(() => expect.fail('Object should be rejected'), (error) => expect(error).to.be.instanceOf(SyntaxError))
+            .then(() => collect(Paginator.parseJsonArray(['[1,2'])))
+            .then(() => expect.fail('Truncated array should be rejected'), (error) => expect(error.message).to.equal('Unexpected end of JSON array'));
+    });
+
+    it('items should be paged and limited', () => {
+        const paginator = new Paginator(() => Promise.resolve([1, 2, 3, 4, 5]), { pageSize: 2, limit: 4 });
+
+        return collect(paginator.pages())
+            .then((pages) => expect(pages).to.deep.equal([[1, 2], [3, 4]]))
+            .then(() => paginator.toArray())
+            .then((items) => expect(items).to.deep.equal([1, 2, 3, 4]));
+    });
+
+    it('stream should be released when iteration stops early', () => {
+        const body = Readable.from(['[1,', '2,', '3,', '4]']);
+        const paginator = new Paginator(() => Promise.resolve(Paginator.streamJsonArray({ body })), { limit: 1 });
+
+        return paginator.toArray()
+            .then((items) => {
+                expect(items).to.deep.equal([1]);
+                expect(body.destroyed).to.equal(true);
+            });
+    });
+});
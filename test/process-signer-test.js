@@ -0,0 +1,66 @@
+const fs = require('fs');
+const expect = require('chai').expect;
+
+const Client = require('../target365-client.js');
+const NativeVerifier = require('../lib/native-verifier.js');
+const ExternalSigner = require('../lib/external-signer.js');
+const ProcessSigner = require('../lib/process-signer.js');
+const FakeServer = require('../lib/fake-server.js');
+
+const publicKey = fs.readFileSync('./test/public.key', 'utf8');
+
+describe('ProcessSigner', () => {
+    const server = new FakeServer();
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await server.start();
+        server.registerClientKey('JavaSdkTest', publicKey);
+    });
+
+    after(() => server.stop());
+
+    beforeEach(() => server.reset());
+
+    it('messages should be signed in the signing process', () => {
+        const signer = new ProcessSigner({ keyPath: './test/private.key' });
+        const messages = ['message-1', 'message-2', 'message-3'];
+
+        return Promise.all(messages.map((message) => signer.sign(message)))
+            .then((signatures) => {
+                const verifier = new NativeVerifier(publicKey);
+
+                expect(signatures.every((signature, index) => verifier.verify(messages[index], signature))).to.equal(true);
+            })
+            .then(() => signer.close());
+    });
+
+    it('exited process should reject pending calls and be restarted', () => {
+        const signer = new ProcessSigner({ keyPath: './test/private.key' });
+        const pending = signer.sign('message-1');
+
+        return signer.close()
+            .then(() => pending.then(() => expect.fail('Pending call should be rejected'), (error) => expect(error.message).to.contain('exited')))
+            .then(() => signer.sign('message-2'))
+            .then((signature) => expect(new NativeVerifier(publicKey).verify('message-2', signature)).to.equal(true))
+            .then(() => signer.close());
+    });
+
+    it('client should sign requests with an external signer', () => {
+        const signer = new ProcessSigner({ keyPath: './test/private.key' });
+        const client = new Client(signer, { baseUrl, keyName: 'JavaSdkTest' });
+
+        expect(client.getSigner()).to.be.instanceOf(ExternalSigner);
+        return Promise.all([client.ping(), client.ping()])
+            .then((pongs) => expect(pongs).to.deep.equal(['pong', 'pong']))
+            .then(() => signer.close());
+    });
+
+    it('failed signing should reject the call without sending it', () => {
+        const client = new Client({ sign: () => Promise.reject(new Error('Key store unavailable')) }, { baseUrl, keyName: 'JavaSdkTest', retry: { minDelay: 1 } });
+
+        return client.ping()
+            .then(() => expect.fail('Call should be rejected'), (error) => expect(error.message).to.equal('Key store unavailable'))
+            .then(() => expect(server.requests).to.have.lengthOf(0));
+    });
+});
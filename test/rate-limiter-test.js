@@ -0,0 +1,83 @@
+const expect = require('chai').expect;
+
+const RateLimiter = require('../lib/rate-limiter.js');
+
+/**
+ * Creates a task, which resolves after a delay
+ *
+ * @param delay Delay in milliseconds
+ * @param value Value to resolve
+ * @returns Function, which starts the task
+ */
+const task = (delay, value) => () => new Promise((resolve) => setTimeout(() => resolve(value), delay));
+
+describe('RateLimiter', () => {
+    it('calls should be started immediately without limits', () => {
+        const limiter = new RateLimiter({});
+
+        return Promise.all([limiter.schedule(task(10, 1)), limiter.schedule(task(10, 2))]).then((results) => {
+            expect(results).to.deep.equal([1, 2]);
+            expect(limiter.getPending()).to.equal(0);
+            expect(limiter.getActive()).to.equal(0);
+        });
+    });
+
+    it('concurrency should be capped and excess calls queued', () => {
+        const limiter = new RateLimiter({ concurrency: 2 });
+        const calls = [1, 2, 3, 4, 5].map((value) => limiter.schedule(task(20, value)));
+
+        expect(limiter.getActive()).to.equal(2);
+        expect(limiter.getPending()).to.equal(3);
+
+        return Promise.all(calls).then((results) => {
+            expect(results).to.deep.equal([1, 2, 3, 4, 5]);
+            expect(limiter.getPending()).to.equal(0);
+        });
+    });
+
+    it('requests per second should be capped', () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 2 });
+        const started = Date.now();
+        const calls = [1, 2, 3, 4].map((value) => limiter.schedule(task(0, value)));
+
+        expect(limiter.getPending()).to.equal(2);
+
+        // 2 calls start at once, the next 2 calls wait for refill at 50 ms per token
+        return Promise.all(calls).then(() => expect(Date.now() - started).to.be.at.least(90));
+    });
+
+    it('failed calls should release their slot', () => {
+        const limiter = new RateLimiter({ concurrency: 1 });
+        const failing = limiter.schedule(() => Promise.reject(new Error('Failure')));
+        const next = limiter.schedule(task(0, 'next'));
+
+        return failing
+            .then(() => expect.fail('Call should fail'), (error) => expect(error.message).to.equal('Failure'))
+            .then(() => next)
+            .then((result) => expect(result).to.equal('next'));
+    });
+
+    it('aborted queued calls should leave the queue without taking a token', () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 1 });
+        const controller = new AbortController();
+        const first = limiter.schedule(task(0, 'first'));
+        const aborted = limiter.schedule(task(0, 'aborted'), controller.signal);
+        let started;
+
+        controller.abort();
+        expect(limiter.getPending()).to.equal(0);
+
+        return first
+            .then(() => aborted)
+            .then(() => expect.fail('Call should be aborted'), (error) => expect(error.name).to.equal('AbortError'))
+            .then(() => {
+                started = Date.now();
+                return limiter.schedule(task(0, 'next'));
+            })
+            .then((result) => {
+                // Next call waits for a single refill of 100 ms, not for the aborted call's token as well
+                expect(result).to.equal('next');
+                expect(Date.now() - started).to.be.below(150);
+            });
+    });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const expect = require('chai').expect;
+
+const Transport = require('../lib/transport.js');
+
+describe('Recorder', () => {
+    let server;
+    let dir;
+    let counter;
+
+    before(async () => {
+        server = await new Promise((resolve) => {
+            const started = http.createServer((request, response) => {
+                let body = '';
+                request.on('data', (chunk) => body += chunk);
+                request.on('end', () => {
+                    counter++;
+                    response.writeHead(200, { 'Content-Type': 'application/json' });
+                    response.end(JSON.stringify({ counter: counter, recipient: '+4798079008', echo: body ? JSON.parse(body) : null }));
+                });
+            });
+            started.listen(0, '127.0.0.1', () => resolve(started));
+        });
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        counter = 0;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'target365-recorder-'));
+    });
+
+    afterEach(() => {
+        fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    const uri = () => 'http://127.0.0.1:' + server.address().port + '/api/lookup?msisdn=%2B4798079008';
+    const request = (nonce) => ({ method: 'get', headers: { 'Authorization': 'HMAC JavaSdkTest:1600000000:' + nonce + ':c2lnbmF0dXJl' } });
+    const offline = () => Promise.reject(new Error('Network should not be used'));
+
+    it('recorded calls should be replayed in order without network', () => {
+        const recording = new Transport({ recorder: { mode: 'record', dir: dir } });
+
+        return recording.fetch(uri(), request('nonce-1')).then((response) => response.json())
+            .then((first) => {
+                expect(first.counter).to.equal(1);
+                expect(first.recipient).to.equal('+4798079008');
+            })
+            .then(() => recording.fetch(uri(), request('nonce-2')))
+            .then(() => {
+                const replaying = new Transport({ fetch: offline, recorder: { mode: 'replay', dir: dir } });
+
+                // Nonce and timestamp differ from the recording, but should be ignored when matching
+                return replaying.fetch(uri(), request('nonce-3')).then((response) => response.json())
+                    .then((first) => {
+                        expect(first.counter).to.equal(1);
+                        // MSISDNs of the request are restored in the replayed response
+                        expect(first.recipient).to.equal('+4798079008');
+                    })
+                    .then(() => replaying.fetch(uri(), request('nonce-4'))).then((response) => response.json())
+                    .then((second) => expect(second.counter).to.equal(2))
+                    .then(() => replaying.fetch(uri(), request('nonce-5'))).then((response) => response.json())
+                    .then((third) => expect(third.counter).to.equal(2));
+            });
+    });
+
+    it('fixtures should not contain MSISDNs, keys or signatures', () => {
+        const recording = new Transport({ recorder: { mode: 'record', dir: dir } });
+        const post = {
+            method: 'post',
+            headers: request('nonce-1').headers,
+            body: JSON.stringify({ recipient: '+4798079008', publicKeyString: 'MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE' })
+        };
+
+        return recording.fetch(uri(), post).then(() => {
+            const content = fs.readdirSync(dir).map((file) => fs.readFileSync(path.join(dir, file), 'utf8')).join('\n');
+
+            expect(content).not.to.contain('4798079008');
+            expect(content).not.to.contain('MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE');
+            expect(content).not.to.contain('nonce-1');
+            expect(content).not.to.contain('c2lnbmF0dXJl');
+        });
+    });
+
+    it('unmatched call should be rejected in replay mode', () => {
+        const replaying = new Transport({ fetch: offline, recorder: { mode: 'replay', dir: dir } });
+
+        return replaying.fetch(uri(), request('nonce-1'))
+            .then(() => expect.fail('Call should fail'), (error) => expect(error.message).to.contain('No recorded fixture for GET /api/lookup'));
+    });
+});
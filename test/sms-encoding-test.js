@@ -0,0 +1,49 @@
+const expect = require('chai').expect;
+
+const { analyzeSms, transliterate, maxSegments } = require('../lib/sms-encoding.js');
+
+describe('SmsEncoding', () => {
+    it('GSM-7 content should use 160 and 153 septet segments', () => {
+        expect(analyzeSms('Hei på deg, ÆØÅ!')).to.deep.equal({ encoding: 'GSM-7', length: 16, segments: 1, charactersPerSegment: 160, charactersLeft: 144, ucs2Characters: [] });
+        expect(analyzeSms('a'.repeat(160)).segments).to.equal(1);
+        expect(analyzeSms('a'.repeat(161))).to.include({ segments: 2, charactersPerSegment: 153, charactersLeft: 145 });
+        expect(analyzeSms('a'.repeat(306)).segments).to.equal(2);
+        expect(analyzeSms('a'.repeat(307)).segments).to.equal(3);
+    });
+
+    it('extension characters should count as two septets and not be split', () => {
+        expect(analyzeSms('€'.repeat(80))).to.include({ encoding: 'GSM-7', length: 160, segments: 1 });
+        expect(analyzeSms('a'.repeat(152) + '{' + 'a'.repeat(10))).to.include({ length: 164, segments: 2, charactersLeft: 141 });
+    });
+
+    it('UCS-2 content should report characters forcing it', () => {
+        expect(analyzeSms('a'.repeat(152) + '✓')).to.include({ encoding: 'UCS-2', length: 153, segments: 3, charactersLeft: 48 });
+        expect(analyzeSms('Hi 😀 ✓ 😀').ucs2Characters).to.deep.equal(['😀', '✓']);
+        expect(analyzeSms('😀'.repeat(35))).to.include({ length: 70, segments: 1, charactersLeft: 0 });
+        expect(maxSegments({ operator: 'any' })).to.equal(12);
+        expect(maxSegments({ maxSegments: 30, operator: 'no.telia' })).to.equal(20);
+        expect(() => maxSegments({ operator: 'telia' })).to.throw('"operator" must be one of [no.ice, no.telia, no.telenor, any]');
+    });
+
+    it('transliteration should replace characters outside of GSM-7 and keep æøå', () => {
+        const report = transliterate('\u201CBl\u00E5b\u00E6r\u201D \u2013 s\u00F8t\u2026 caf\u00E9 na\u00EFve\u00A0Ol\u00E9 a\u030A \uD83D\uDE00');
+
+        expect(report.content).to.equal('"Blåbær" - søt... café naive Olé å \uD83D\uDE00');
+        expect(report.replacements).to.deep.equal([
+            { character: '\u201C', replacement: '"', count: 1 },
+            { character: '\u201D', replacement: '"', count: 1 },
+            { character: '\u2013', replacement: '-', count: 1 },
+            { character: '\u2026', replacement: '...', count: 1 },
+            { character: '\u00EF', replacement: 'i', count: 1 },
+            { character: '\u00A0', replacement: ' ', count: 1 }
+        ]);
+        expect(report.ucs2Characters).to.deep.equal(['\uD83D\uDE00']);
+    });
+
+    it('transliteration should report segments before and after', () => {
+        const report = transliterate('\u2019'.repeat(10) + 'a'.repeat(150));
+
+        expect([report.segmentsBefore, report.segmentsAfter]).to.deep.equal([3, 1]);
+        expect(transliterate('Hei på deg').replacements).to.deep.equal([]);
+    });
+});
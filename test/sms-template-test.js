@@ -0,0 +1,46 @@
+const expect = require('chai').expect;
+
+const SmsTemplate = require('../lib/sms-template.js');
+const { Target365ValidationError } = require('../lib/errors.js');
+
+describe('SmsTemplate', () => {
+    it('placeholders should be rendered with defaults and escapes', () => {
+        const template = new SmsTemplate('Hei {{ firstName | du }}! Ordre {{order.id}}{{note|}} \\{{kode}} \\\\ {{firstName|du}}');
+
+        expect(template.getPlaceholders().map((placeholder) => placeholder.name)).to.deep.equal(['firstName', 'order.id', 'note', 'firstName']);
+        expect(template.render({ firstName: 'Åse', order: { id: 42 } })).to.equal('Hei Åse! Ordre 42 {{kode}} \\ Åse');
+        expect(template.render({ firstName: '', order: { id: '{{firstName}}' } })).to.equal('Hei du! Ordre {{firstName}} {{kode}} \\ du');
+    });
+
+    it('missing data and malformed templates should be rejected', () => {
+        const template = new SmsTemplate('Hi {{firstName}}, code {{code}} {{code}}');
+
+        expect(template.check({ firstName: 'Ola' })).to.deep.equal(['"code" is missing']);
+        // Inherited properties are not data
+        expect(new SmsTemplate('{{constructor}} {{toString|-}} {{order.hasOwnProperty}}').check({ order: {} }))
+            .to.deep.equal(['"constructor" is missing', '"order.hasOwnProperty" is missing']);
+        expect(new SmsTemplate('{{constructor|x}} {{toString|-}}').render({})).to.equal('x -');
+        expect(() => template.render({})).to.throw(Target365ValidationError).with.property('constraints').that.deep.equals(['"firstName" is missing', '"code" is missing']);
+        expect(() => new SmsTemplate('Hi {{ }} {{first name}} {{firstName')).to.throw(Target365ValidationError).with.property('constraints').that.deep.equals([
+            'Placeholder " " at 3 has an invalid name',
+            'Placeholder "first name" at 9 has an invalid name',
+            'Placeholder at 24 is not closed'
+        ]);
+    });
+
+    it('out-messages should be rendered per recipient with a worst-case segment report', () => {
+        const template = new SmsTemplate('Hi {{firstName}}, {{message}}', { transliterate: true });
+        const recipients = [
+            { recipient: '+4798079008', firstName: 'Ola', message: 'see you', transactionId: 'id-1' },
+            { recipient: '+4798079009', firstName: 'Kari', message: '“welcome” ' + 'x'.repeat(150) },
+            { recipient: '+4798079010', firstName: 'Per', message: '😀' }
+        ];
+        const rendered = template.renderOutMessages(recipients, { sender: 'Target365', tags: ['campaign'] });
+
+        expect(rendered.outMessages[0]).to.deep.equal({ sender: 'Target365', tags: ['campaign'], recipient: '+4798079008', content: 'Hi Ola, see you', transactionId: 'id-1' });
+        expect(rendered.outMessages[1].content).to.match(/^Hi Kari, "welcome" x+$/);
+        expect(rendered.report).to.deep.equal({ maxSegments: 2, maxLength: 169, worstIndex: 1, totalSegments: 4, ucs2Recipients: 1 });
+        expect(() => template.renderOutMessages([{ firstName: 'Ola' }], { sender: 'Target365' })).to.throw(Target365ValidationError)
+            .with.property('constraints').that.deep.equals(['recipients[0]: "recipient" is missing', 'recipients[0]: "message" is missing']);
+    });
+});
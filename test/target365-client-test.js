@@ -1,7 +1,9 @@
 const fs = require('fs');
+const http = require('http');
 const expect = require('chai').expect;
 const uuidv4 = require('uuid/v4');
 const moment = require('moment');
+const { Response } = require('node-fetch');
 
 const Client = require('../target365-client.js');
 
@@ -15,6 +17,31 @@ const readKey = (path) => new Promise((resolve, reject) => {
     fs.readFile(path, 'utf8', (err, key) => resolve(key));
 });
 
+/**
+ * Starts a local HTTP server
+ *
+ * @param handler Request handler (request, response) => {...}
+ * @returns Promise, which resolves to the started server
+ */
+const startServer = (handler) => new Promise((resolve, reject) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+/**
+ * Creates a client, which calls a local HTTP server
+ *
+ * @param server Local HTTP server
+ * @param parameters Additional client parameters
+ * @returns Promise, which resolves to a client
+ */
+const localClient = (server, parameters) => readKey('./test/private.key').then((ecPrivateKeyAsString) => {
+    return new Client(ecPrivateKeyAsString, Object.assign({
+        baseUrl: 'http://127.0.0.1:' + server.address().port + '/',
+        keyName: 'JavaSdkTest'
+    }, parameters));
+});
+
 describe('', () => {
     let client;
 
@@ -34,6 +61,526 @@ describe('', () => {
         });
     });
 
+    describe('Retry', () => {
+        let server;
+        let requests;
+        let responses;
+
+        before(async () => {
+            server = await startServer((request, response) => {
+                let body = '';
+                request.on('data', (chunk) => body += chunk);
+                request.on('end', () => {
+                    requests.push({ method: request.method, url: request.url, authorization: request.headers['authorization'], body: body });
+                    const next = responses.shift() || { status: 200, body: '"pong"' };
+                    response.writeHead(next.status, Object.assign({ 'Content-Type': 'application/json' }, next.headers));
+                    response.end(next.body || '{}');
+                });
+            });
+        });
+
+        after(() => server.close());
+
+        beforeEach(() => {
+            requests = [];
+            responses = [];
+        });
+
+        it('GET should be retried on 503 and re-signed', () => {
+            responses = [{ status: 503 }, { status: 503 }];
+
+            return localClient(server, { retry: { maxAttempts: 3, minDelay: 1 } })
+                .then((local) => local.ping())
+                .then((pong) => {
+                    expect(pong).to.equal('pong');
+                    expect(requests).to.have.lengthOf(3);
+                    expect(new Set(requests.map((request) => request.authorization)).size).to.equal(3);
+                });
+        });
+
+        it('GET should not be retried by default', () => {
+            responses = [{ status: 503 }];
+
+            return localClient(server)
+                .then((local) => local.ping())
+                .then((response) => {
+                    expect(response.error).to.equal('InvalidResponse');
+                    expect(response.status).to.equal(503);
+                    expect(requests).to.have.lengthOf(1);
+                });
+        });
+
+        it('retries should be overridable per call', () => {
+            responses = [{ status: 503 }, { status: 503 }];
+
+            return localClient(server, { retry: { maxAttempts: 3, minDelay: 1 } })
+                .then((local) => local.ping({ retry: false }))
+                .then((response) => {
+                    expect(response.status).to.equal(503);
+                    expect(requests).to.have.lengthOf(1);
+                });
+        });
+
+        it('POST without transactionId should not be retried', () => {
+            responses = [{ status: 503 }];
+
+            return localClient(server, { retry: { maxAttempts: 3, minDelay: 1 } })
+                .then((local) => local.postKeyword({
+                    shortNumberId: 'NO-0000',
+                    keywordText: 'retry',
+                    mode: 'Text',
+                    forwardUrl: 'https://www.example.com',
+                    enabled: true
+                }))
+                .then((response) => {
+                    expect(response.status).to.equal(503);
+                    expect(requests).to.have.lengthOf(1);
+                });
+        });
+
+        it('POST with transactionId should be retried and honor Retry-After', () => {
+            responses = [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 201, headers: { 'Location': '/api/out-messages/retry-id' } }];
+
+            const started = Date.now();
+
+            return localClient(server, { retry: { maxAttempts: 2, minDelay: 1 } })
+                .then((local) => local.postOutMessage({
+                    transactionId: 'retry-id',
+                    sender: 'Target365',
+                    recipient: '+4798079008',
+                    content: 'Retry'
+                }))
+                .then((transactionId) => {
+                    expect(transactionId).to.equal('retry-id');
+                    expect(requests).to.have.lengthOf(2);
+                    expect(requests[1].body).to.equal(requests[0].body);
+                    expect(Date.now() - started).to.be.at.least(1000);
+                });
+        });
+    });
+
+    describe('Timeout', () => {
+        let server;
+        let requests;
+
+        before(async () => {
+            server = await startServer((request, response) => {
+                requests++;
+                setTimeout(() => {
+                    response.writeHead(200, { 'Content-Type': 'application/json' });
+                    response.end('"pong"');
+                }, 200);
+            });
+        });
+
+        after(() => server.close());
+
+        beforeEach(() => requests = 0);
+
+        it('call should reject with Target365TimeoutError when Client timeout elapses', () => {
+            return localClient(server, { timeout: 50 })
+                .then((local) => local.ping())
+                .then(() => expect.fail('Call should time out'), (error) => {
+                    expect(error).to.be.instanceOf(Client.Target365TimeoutError);
+                    expect(error).to.be.instanceOf(Client.Target365Error);
+                    expect(error.timeout).to.equal(50);
+                });
+        });
+
+        it('call timeout should override Client timeout', () => {
+            return localClient(server, { timeout: 50 })
+                .then((local) => local.ping({ timeout: 1000 }))
+                .then((pong) => expect(pong).to.equal('pong'));
+        });
+
+        it('timeout should cover retries', () => {
+            return localClient(server, { timeout: 50, retry: { maxAttempts: 5, minDelay: 1000 } })
+                .then((local) => local.ping())
+                .then(() => expect.fail('Call should time out'), (error) => {
+                    expect(error).to.be.instanceOf(Client.Target365TimeoutError);
+                    expect(requests).to.equal(1);
+                });
+        });
+
+        it('call should reject with Target365AbortError when aborted', () => {
+            const controller = new AbortController();
+            setTimeout(() => controller.abort(), 20);
+
+            return localClient(server)
+                .then((local) => local.ping({ signal: controller.signal }))
+                .then(() => expect.fail('Call should be aborted'), (error) => {
+                    expect(error).to.be.instanceOf(Client.Target365AbortError);
+                });
+        });
+
+        it('call should not be sent when already aborted', () => {
+            const controller = new AbortController();
+            controller.abort();
+
+            return localClient(server)
+                .then((local) => local.ping({ signal: controller.signal }))
+                .then(() => expect.fail('Call should be aborted'), (error) => {
+                    expect(error).to.be.instanceOf(Client.Target365AbortError);
+                    expect(requests).to.equal(0);
+                });
+        });
+    });
+
+    describe('Errors', () => {
+        let server;
+        let next;
+
+        before(async () => {
+            server = await startServer((request, response) => {
+                response.writeHead(next.status, Object.assign({ 'Content-Type': 'application/json' }, next.headers));
+                response.end(next.body);
+            });
+        });
+
+        after(() => server.close());
+
+        it('InvalidInput should be resolved by default', () => {
+            return localClient(server)
+                .then((local) => local.getKeyword(''))
+                .then((response) => expect(response.error).to.equal('InvalidInput'));
+        });
+
+        it('Target365ValidationError should be raised when throwOnError is set', () => {
+            return localClient(server, { throwOnError: true })
+                .then((local) => local.getKeyword(''))
+                .then(() => expect.fail('Call should fail'), (error) => {
+                    expect(error).to.be.instanceOf(Client.Target365ValidationError);
+                    expect(error.constraints).to.deep.equal(['"keywordId" is not allowed to be empty']);
+                });
+        });
+
+        it('Target365ApiError should be raised with status, body and request id', () => {
+            next = { status: 500, body: '{"message":"Failure"}', headers: { 'X-Request-Id': 'request-0001' } };
+
+            return localClient(server, { throwOnError: true })
+                .then((local) => local.ping())
+                .then(() => expect.fail('Call should fail'), (error) => {
+                    expect(error).to.be.instanceOf(Client.Target365ApiError);
+                    expect(error.status).to.equal(500);
+                    expect(error.body).to.deep.equal({ message: 'Failure' });
+                    expect(error.requestId).to.equal('request-0001');
+                });
+        });
+
+        it('Target365AuthError should be raised on 401 and 403', () => {
+            next = { status: 403, body: 'Forbidden' };
+
+            return localClient(server, { throwOnError: true })
+                .then((local) => local.ping())
+                .then(() => expect.fail('Call should fail'), (error) => {
+                    expect(error).to.be.instanceOf(Client.Target365AuthError);
+                    expect(error).to.be.instanceOf(Client.Target365ApiError);
+                    expect(error.body).to.equal('Forbidden');
+                });
+        });
+
+        it('Target365NotFoundError should be raised on unhandled 404', () => {
+            next = { status: 404, body: '' };
+
+            return localClient(server, { throwOnError: true })
+                .then((local) => local.ping())
+                .then(() => expect.fail('Call should fail'), (error) => expect(error).to.be.instanceOf(Client.Target365NotFoundError));
+        });
+
+        it('handled 404 should still resolve to null', () => {
+            next = { status: 404, body: '' };
+
+            return localClient(server, { throwOnError: true })
+                .then((local) => local.getKeyword('missing'))
+                .then((keyword) => expect(keyword).to.equal(null));
+        });
+
+        it('throwOnError should be overridable per call', () => {
+            next = { status: 500, body: '{}' };
+
+            return localClient(server, { throwOnError: true })
+                .then((local) => local.ping({ throwOnError: false }))
+                .then((response) => expect(response.error).to.equal('InvalidResponse'));
+        });
+
+        it('Target365NetworkError should be raised when server is unreachable', () => {
+            return localClient(server, { throwOnError: true, baseUrl: 'http://127.0.0.1:1/' })
+                .then((local) => local.ping())
+                .then(() => expect.fail('Call should fail'), (error) => {
+                    expect(error).to.be.instanceOf(Client.Target365NetworkError);
+                    expect(error.cause).to.be.instanceOf(Error);
+                });
+        });
+    });
+
+    describe('Transport', () => {
+        it('custom fetch and default headers should be used', () => {
+            const calls = [];
+            const fetch = (uri, request) => {
+                calls.push({ uri, request });
+                return Promise.resolve(new Response('"pong"', { status: 200 }));
+            };
+
+            return readKey('./test/private.key')
+                .then((ecPrivateKeyAsString) => new Client(ecPrivateKeyAsString, {
+                    baseUrl: 'https://test.target365.io/',
+                    keyName: 'JavaSdkTest',
+                    fetch: fetch,
+                    headers: { 'X-Correlation-Id': 'correlation-0001' }
+                }))
+                .then((local) => local.ping())
+                .then((pong) => {
+                    expect(pong).to.equal('pong');
+                    expect(calls).to.have.lengthOf(1);
+                    expect(calls[0].uri).to.equal('https://test.target365.io/api/ping');
+                    expect(calls[0].request.headers['X-Correlation-Id']).to.equal('correlation-0001');
+                    expect(calls[0].request.headers['Authorization']).to.match(/^HMAC JavaSdkTest:/);
+                });
+        });
+    });
+
+    describe('Middleware', () => {
+        let server;
+        let requests;
+
+        before(async () => {
+            server = await startServer((request, response) => {
+                requests.push({ url: request.url, headers: request.headers });
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end('"pong"');
+            });
+        });
+
+        after(() => server.close());
+
+        beforeEach(() => requests = []);
+
+        it('middlewares should run in order and see signed request and response', () => {
+            const calls = [];
+            let seen;
+
+            return localClient(server)
+                .then((local) => local
+                    .use(async (context, next) => {
+                        calls.push('first:before');
+                        await next();
+                        calls.push('first:after');
+                        seen = Object.assign({}, context);
+                    })
+                    .use(async (context, next) => {
+                        calls.push('second:before');
+                        context.headers['X-Correlation-Id'] = 'correlation-0001';
+                        await next();
+                        calls.push('second:after');
+                    })
+                    .ping())
+                .then((pong) => {
+                    expect(pong).to.equal('pong');
+                    expect(calls).to.deep.equal(['first:before', 'second:before', 'second:after', 'first:after']);
+                    expect(requests[0].headers['x-correlation-id']).to.equal('correlation-0001');
+                    expect(seen.method).to.equal('get');
+                    expect(seen.authorization).to.equal(requests[0].headers['authorization']);
+                    expect(seen.response.status).to.equal(200);
+                    expect(seen.elapsed).to.be.a('number');
+                    expect(seen.attempt).to.equal(1);
+                });
+        });
+
+        it('request changes should be signed', () => {
+            let authorization;
+
+            return localClient(server)
+                .then((local) => local
+                    .use((context, next) => {
+                        context.uri = context.uri + '?source=middleware';
+                        return next().then(() => authorization = context.authorization);
+                    })
+                    .ping())
+                .then(() => {
+                    expect(requests[0].url).to.equal('/api/ping?source=middleware');
+                    expect(authorization).to.equal(requests[0].headers['authorization']);
+                });
+        });
+
+        it('middleware should be able to short-circuit response', () => {
+            return localClient(server)
+                .then((local) => local
+                    .use((context, next) => {
+                        context.response = new Response('"short-circuit"', { status: 200 });
+                        return Promise.resolve();
+                    })
+                    .ping())
+                .then((pong) => {
+                    expect(pong).to.equal('short-circuit');
+                    expect(requests).to.have.lengthOf(0);
+                });
+        });
+
+        it('middleware errors should not be retried', () => {
+            let attempts = 0;
+
+            return localClient(server, { retry: { maxAttempts: 3, minDelay: 1 } })
+                .then((local) => local
+                    .use(() => {
+                        attempts++;
+                        throw new Error('Middleware failure');
+                    })
+                    .ping())
+                .then(() => expect.fail('Call should fail'), (error) => {
+                    expect(error.message).to.equal('Middleware failure');
+                    expect(attempts).to.equal(1);
+                });
+        });
+    });
+
+    describe('RateLimit', () => {
+        let server;
+        let active;
+        let maxActive;
+
+        before(async () => {
+            server = await startServer((request, response) => {
+                active++;
+                maxActive = Math.max(active, maxActive);
+                setTimeout(() => {
+                    active--;
+                    response.writeHead(201, { 'Location': '/api/out-messages/id' });
+                    response.end();
+                }, 20);
+            });
+        });
+
+        after(() => server.close());
+
+        beforeEach(() => {
+            active = 0;
+            maxActive = 0;
+        });
+
+        it('out-message calls should be queued by group concurrency', () => {
+            return localClient(server, { rateLimit: { groups: { outMessages: { concurrency: 2 } } } })
+                .then((local) => {
+                    const calls = [1, 2, 3, 4, 5].map((index) => local.postOutMessage({
+                        transactionId: 'id-' + index,
+                        sender: 'Target365',
+                        recipient: '+4798079008',
+                        content: 'Rate limit'
+                    }));
+
+                    return new Promise((resolve) => setTimeout(resolve, 5)).then(() => {
+                        expect(local.getRateLimitStatus().groups.outMessages).to.deep.equal({ pending: 3, active: 2 });
+                        return Promise.all(calls);
+                    });
+                })
+                .then((results) => {
+                    expect(results).to.have.lengthOf(5);
+                    expect(maxActive).to.equal(2);
+                });
+        });
+    });
+
+    describe('ClockSkew', () => {
+        let server;
+        let offset;
+        let timestamps;
+
+        before(async () => {
+            server = await startServer((request, response) => {
+                timestamps.push(parseInt(request.headers['authorization'].split(':')[1], 10));
+                response.writeHead(200, { 'Content-Type': 'application/json', 'Date': new Date(Date.now() + offset).toUTCString() });
+                response.end('"pong"');
+            });
+        });
+
+        after(() => server.close());
+
+        beforeEach(() => timestamps = []);
+
+        it('measured skew should be added to timestamps', () => {
+            offset = 200000;
+
+            return localClient(server)
+                .then((local) => local.ping().then(() => local.ping()).then(() => local))
+                .then((local) => {
+                    expect(local.getClockSkew()).to.be.within(offset - 1500, offset + 1500);
+                    expect(timestamps[0]).to.be.within(moment().unix() - 2, moment().unix());
+                    expect(timestamps[1]).to.be.within(moment().unix() + 198, moment().unix() + 202);
+                });
+        });
+
+        it('skew close to the tolerance should emit a warning once', () => {
+            const warnings = [];
+            const listener = (warning) => warnings.push(warning);
+            offset = -270000;
+            process.on('warning', listener);
+
+            return localClient(server, { clockSkew: { compensate: false } })
+                .then((local) => local.ping().then(() => local.ping()))
+                .then(() => new Promise((resolve) => setImmediate(resolve)))
+                .then(() => {
+                    process.removeListener('warning', listener);
+                    expect(warnings.map((warning) => warning.code)).to.deep.equal(['TARGET365_CLOCK_SKEW']);
+                    expect(warnings[0].message).to.contain('ahead of');
+                    expect(timestamps[1]).to.be.within(moment().unix() - 2, moment().unix());
+                });
+        });
+    });
+
+    describe('Keyring', () => {
+        let server;
+        let keyNames;
+        let unavailable;
+
+        before(async () => {
+            server = await startServer((request, response) => {
+                const keyName = request.headers['authorization'].replace(/^HMAC /, '').split(':')[0];
+                const status = keyName === 'RevokedKey' ? 401 : unavailable-- > 0 ? 503 : 200;
+
+                keyNames.push(keyName);
+                response.writeHead(status, { 'Content-Type': 'application/json' });
+                response.end(status === 200 ? '"pong"' : '{}');
+            });
+        });
+
+        after(() => server.close());
+
+        beforeEach(() => {
+            keyNames = [];
+            unavailable = 0;
+        });
+
+        const keyringClient = (parameters) => readKey('./test/private.key').then((privateKey) => {
+            return new Client([{ keyName: 'RevokedKey', privateKey }, { keyName: 'JavaSdkTest', privateKey }], Object.assign({
+                baseUrl: 'http://127.0.0.1:' + server.address().port + '/'
+            }, parameters));
+        });
+
+        it('rejected call should fail over to the next key, without using up retries', () => {
+            unavailable = 1;
+
+            return keyringClient({ retry: { maxAttempts: 2, minDelay: 1 } })
+                .then((local) => local.ping().then((pong) => {
+                    expect(pong).to.equal('pong');
+                    expect(keyNames).to.deep.equal(['RevokedKey', 'JavaSdkTest', 'JavaSdkTest']);
+                    expect(local.getKeyName()).to.equal('JavaSdkTest');
+                }));
+        });
+
+        it('unknown key name should be reported as invalid input', () => {
+            return keyringClient()
+                .then((local) => local.ping({ keyName: 'OtherKey' }).then((result) => {
+                    expect(result).to.deep.equal({ error: 'InvalidInput', constraints: ['"keyName" must be one of [RevokedKey, JavaSdkTest]'] });
+                    return local.ping({ keyName: 'OtherKey', throwOnError: true });
+                }))
+                .then(() => expect.fail('Call should fail'), (error) => expect(error).to.be.instanceOf(Client.Target365ValidationError))
+                .then(() => expect(keyNames).to.have.lengthOf(0));
+        });
+
+        it('empty keyring should be rejected', () => {
+            expect(() => new Client([], { baseUrl: 'http://127.0.0.1:' + server.address().port + '/' })).to.throw('At least one signing key is required');
+        });
+    });
+
     describe('Keyword', () => {
         describe('Integration', () => {
             it('keyword should be created, updated and deleted', () => {
@@ -215,6 +762,17 @@ describe('', () => {
                     });
                 });
             });
+
+            describe('syncKeywords()', () => {
+                it('settings.shortNumberId or settings.tag should be required, when deletes are allowed', () => {
+                    const desired = [{ shortNumberId: 'NO-0000', keywordText: 'HELLO', mode: 'Text', forwardUrl: 'https://your-site.net/api/receive-sms', enabled: true }];
+
+                    return client.syncKeywords(desired, { allowDelete: true }).then((response) => {
+                        expect(response.error).to.equal('InvalidInput');
+                        expect(response.constraints).to.deep.equal(['"settings" must contain at least one of [shortNumberId, tag]']);
+                    });
+                });
+            });
         });
     });
 
@@ -407,7 +965,50 @@ describe('', () => {
                 });
             });
 
+            describe('sendMany()', () => {
+                it('outMessages should be required', () => {
+                    return client.sendMany().then((response) => {
+                        expect(response.error).to.equal('InvalidInput');
+                        expect(response.constraints).to.deep.equal(['"outMessages" is required']);
+                    });
+                });
+
+                it('content over the segment limit should be reported per message', () => {
+                    const outMessages = [{ sender: 'Sender', recipient: 'Recipient', content: '😀'.repeat(36) }];
+
+                    return client.sendMany(outMessages, {}, { segmentLimit: { maxSegments: 1 } }).then((response) => {
+                        expect(response.outcomes[0].status).to.equal('invalid');
+                        expect(response.outcomes[0].constraints).to.deep.equal(['"content" needs 2 UCS-2 segments, limit is 1']);
+                    });
+                });
+
+                it('chunkSize should be at most 100', () => {
+                    return client.sendMany([], { chunkSize: 101 }).then((response) => {
+                        expect(response.error).to.equal('InvalidInput');
+                        expect(response.constraints).to.deep.equal(['"chunkSize" must be less than or equal to 100']);
+                    });
+                });
+            });
+
             describe('postOutMessage()', () => {
+                it('content should be within the segment limit', () => {
+                    const outMessage = { sender: 'Sender', recipient: 'Recipient', content: 'Ø'.repeat(1835) + '€' };
+
+                    return client.postOutMessage(outMessage, { segmentLimit: { operator: 'no.ice' } }).then((response) => {
+                        expect(response.error).to.equal('InvalidInput');
+                        expect(response.constraints).to.deep.equal(['"content" needs 13 GSM-7 segments, limit is 12']);
+                    });
+                });
+
+                it('segmentLimit.operator should be a known operator', () => {
+                    const outMessage = { sender: 'Sender', recipient: 'Recipient', content: 'Content' };
+
+                    return client.postOutMessage(outMessage, { segmentLimit: { operator: 'telia' } }).then((response) => {
+                        expect(response.error).to.equal('InvalidInput');
+                        expect(response.constraints).to.deep.equal(['"operator" must be one of [no.ice, no.telia, no.telenor, any]']);
+                    });
+                });
+
                 it('outMessage should be required', () => {
                     return client.postOutMessage().then((response) => {
                         expect(response.error).to.equal('InvalidInput');
@@ -890,6 +1491,39 @@ describe('', () => {
                 });
             });
 
+            describe('postClientPublicKey()', () => {
+                it('publicKey should be required', () => {
+                    return client.postClientPublicKey().then((response) => {
+                        expect(response.error).to.equal('InvalidInput');
+                        expect(response.constraints).to.deep.equal(['"publicKey" is required']);
+                    });
+                });
+
+                it('publicKey.name, publicKey.publicKeyString should be required', () => {
+                    return client.postClientPublicKey({}).then((response) => {
+                        expect(response.error).to.equal('InvalidInput');
+                        expect(response.constraints).to.deep.equal(['"name" is required', '"publicKeyString" is required']);
+                    });
+                });
+            });
+
+            describe('rotateClientKey()', () => {
+                it('rotation.keyName should differ from the current key name', () => {
+                    return client.rotateClientKey({ keyName: 'JavaSdkTest' })
+                        .then(() => expect.fail('Rotation should be rejected'), (error) => {
+                            expect(error).to.be.instanceOf(Client.Target365ValidationError);
+                            expect(error.constraints).to.deep.equal(['"keyName" contains an invalid value']);
+                        });
+                });
+
+                it('rotation.publicKeyString should be required with rotation.privateKey', () => {
+                    return client.rotateClientKey({ keyName: 'NewKey', privateKey: 'key' })
+                        .then(() => expect.fail('Rotation should be rejected'), (error) => {
+                            expect(error.constraints).to.deep.equal(['"publicKeyString" is required']);
+                        });
+                });
+            });
+
             describe('deleteClientPublicKey()', () => {
                 it('keyName should be required', () => {
                     return client.deleteClientPublicKey().then((response) => {
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const http = require('http');
+const fetch = require('node-fetch');
+const expect = require('chai').expect;
+
+const Client = require('../target365-client.js');
+const errors = require('../lib/errors.js');
+const Signer = require('../lib/signer.js');
+const Webhook = require('../lib/webhook.js');
+const FakeServer = require('../lib/fake-server.js');
+
+const signer = new Signer(fs.readFileSync('./test/private.key', 'utf8'));
+const publicKey = fs.readFileSync('./test/public.key', 'utf8');
+
+const inMessage = {
+    transactionId: '00568c6b-7baf-4869-b083-d22afc163059',
+    created: '2019-02-07T21:11:00+00:00',
+    sender: '+4798079008',
+    recipient: '2002',
+    content: 'HELLO'
+};
+
+const deliveryReport = {
+    correlationId: null,
+    transactionId: 'client-specified-id-5c88e736bb4b8',
+    price: null,
+    sender: 'Target365',
+    recipient: '+4798079008',
+    operatorId: 'no.telenor',
+    statusCode: 'Ok',
+    detailedStatusCode: 'Delivered',
+    delivered: true,
+    billed: null,
+    smscTransactionId: '16976c7448d',
+    smscMessageParts: 1
+};
+
+/**
+ * Creates X-ECDSA-Signature header for a forward
+ *
+ * @param uri Full URI the forward is posted to
+ * @param body Body as a string
+ * @param keyName Key name. Default is 'ServerKey'.
+ * @returns Header value
+ */
+const sign = (uri, body, keyName) => signer.signHeader(keyName || 'ServerKey', 'post', uri, body).replace(/^HMAC /, '');
+
+describe('Webhook', () => {
+    let server;
+    let handler;
+
+    const url = (path) => 'http://127.0.0.1:' + server.address().port + path;
+    const post = (path, payload, signature) => {
+        const body = JSON.stringify(payload);
+
+        return fetch(url(path), {
+            method: 'post',
+            headers: { 'Content-Type': 'application/json', 'X-ECDSA-Signature': signature === undefined ? sign(url(path), body) : signature },
+            body: body
+        });
+    };
+
+    before(async () => {
+        server = await new Promise((resolve) => {
+            const started = http.createServer((request, response) => handler(request, response));
+            started.listen(0, '127.0.0.1', () => resolve(started));
+        });
+    });
+
+    after(() => server.close());
+
+    it('signed in-message should be emitted and acknowledged', () => {
+        const webhook = new Webhook({ publicKeys: { ServerKey: publicKey } });
+        const received = [];
+
+        webhook.on('inMessage', (message) => new Promise((resolve) => setTimeout(() => resolve(received.push(message)), 10)));
+        handler = webhook.http('inMessage');
+
+        return post('/api/receive-sms', inMessage).then((response) => {
+            expect(response.status).to.equal(200);
+            // Listener is awaited before responding
+            expect(received).to.deep.equal([inMessage]);
+        });
+    });
+
+    it('invalid signature should be rejected without emitting', () => {
+        const webhook = new Webhook({ publicKeys: { ServerKey: publicKey } });
+        let emitted = false;
+
+        webhook.on('inMessage', () => emitted = true);
+        handler = webhook.http();
+
+        return post('/api/receive-sms', inMessage, sign(url('/api/other-url'), JSON.stringify(inMessage)))
+            .then((response) => expect(response.status).to.equal(401))
+            .then(() => post('/api/receive-sms', inMessage, sign(url('/api/receive-sms'), JSON.stringify(inMessage), 'UnknownKey')))
+            .then((response) => expect(response.status).to.equal(401))
+            .then(() => post('/api/receive-sms', inMessage, ''))
+            .then((response) => {
+                expect(response.status).to.equal(401);
+                expect(emitted).to.equal(false);
+            });
+    });
+
+    it('delivery report should be detected, and invalid payload rejected', () => {
+        const webhook = new Webhook({ verifySignatures: false });
+        const received = [];
+
+        webhook.on('deliveryReport', (report) => received.push(report));
+        handler = webhook.http();
+
+        return post('/api/receive-dlr', deliveryReport)
+            .then((response) => expect(response.status).to.equal(200))
+            .then(() => post('/api/receive-dlr', Object.assign({}, deliveryReport, { statusCode: 'Unknown' })))
+            .then((response) => {
+                expect(response.status).to.equal(400);
+                expect(received).to.deep.equal([deliveryReport]);
+            });
+    });
+
+    it('failing listener should answer with non-200, so the forward is retried', () => {
+        const webhook = new Webhook({ verifySignatures: false });
+        const errors = [];
+
+        webhook.on('inMessage', () => Promise.reject(new Error('Database is down')));
+        webhook.on('error', (error) => errors.push(error.message));
+        handler = webhook.http('inMessage');
+
+        return post('/api/receive-sms', inMessage).then((response) => {
+            expect(response.status).to.equal(500);
+            expect(errors).to.deep.equal(['Database is down']);
+        });
+    });
+
+    it('failing verification should be answered with 500, or 503 when the key can\'t be fetched', () => {
+        let failure = new Error('Nonce store is down');
+        const webhook = new Webhook({ verifier: { verifyRequest: () => Promise.reject(failure) } });
+        const emitted = [];
+
+        webhook.on('inMessage', () => expect.fail('Listener should not be called'));
+        webhook.on('error', (error) => emitted.push(error.message));
+        handler = webhook.http('inMessage');
+
+        return post('/api/receive-sms', inMessage)
+            .then((response) => expect(response.status).to.equal(500))
+            .then(() => {
+                failure = new errors.Target365NetworkError(new Error('connect ECONNREFUSED'));
+                return post('/api/receive-sms', inMessage);
+            })
+            .then((response) => {
+                expect(response.status).to.equal(503);
+                expect(emitted).to.have.lengthOf(2);
+                expect(emitted[0]).to.equal('Nonce store is down');
+            })
+            .then(() => {
+                const ctx = { req: { socket: {} }, request: { rawBody: JSON.stringify(inMessage) }, method: 'POST', url: '/koa', headers: { host: 'localhost' } };
+
+                return webhook.koa('inMessage')(ctx).then(() => expect(ctx.status).to.equal(503));
+            })
+            .then(() => {
+                const request = { method: 'POST', url: '/express', headers: { host: 'localhost' }, socket: {}, rawBody: JSON.stringify(inMessage) };
+                const response = { status: (status) => Object.assign(response, { statusCode: status }), type: () => response, send: () => response };
+
+                return webhook.express('inMessage')(request, response, () => expect.fail('Error should not be passed to next'))
+                    .then(() => {
+                        expect(response.statusCode).to.equal(503);
+                        expect(emitted).to.have.lengthOf(4);
+                    });
+            });
+    });
+
+    it('server public key should be fetched with the client', async () => {
+        const fakeServer = new FakeServer();
+        const baseUrl = await fakeServer.start();
+
+        fakeServer.registerClientKey('JavaSdkTest', publicKey);
+        fakeServer.registerServerKey('ServerKey', publicKey);
+
+        const webhook = new Webhook({ client: new Client(fs.readFileSync('./test/private.key', 'utf8'), { baseUrl, keyName: 'JavaSdkTest' }) });
+        handler = webhook.http('inMessage');
+
+        return post('/api/receive-sms', inMessage)
+            .then((response) => expect(response.status).to.equal(200))
+            .then(() => post('/api/receive-sms', inMessage))
+            .then((response) => {
+                expect(response.status).to.equal(200);
+                // Key is fetched once
+                expect(fakeServer.requests.filter((request) => request.path.indexOf('api/server/public-keys') === 0)).to.have.lengthOf(1);
+            })
+            .finally(() => fakeServer.stop());
+    });
+
+    it('Express, Koa and Fastify handlers should verify and emit', () => {
+        const webhook = new Webhook({ publicKeys: { ServerKey: publicKey } });
+        const received = [];
+        const route = {};
+
+        webhook.on('inMessage', (message) => received.push(message.transactionId));
+
+        // Fastify plugin registers its own json parser and route
+        webhook.fastify('inMessage')({
+            addContentTypeParser: (type, options, parser) => route.parser = parser,
+            post: (path, routeHandler) => Object.assign(route, { path: path, handler: routeHandler })
+        }, { path: '/fastify' }, () => { });
+
+        const express = webhook.express('inMessage');
+        const koa = webhook.koa('inMessage');
+
+        handler = (request, response) => {
+            if (request.url === '/express') {
+                response.status = (status) => Object.assign(response, { statusCode: status });
+                response.type = () => response;
+                response.send = (body) => response.end(body);
+                express(request, response, (error) => response.writeHead(599).end(error.message));
+            } else if (request.url === '/koa') {
+                const ctx = { req: request, request: {}, method: request.method, url: request.url, headers: request.headers };
+
+                koa(ctx).then(() => response.writeHead(ctx.status).end(ctx.body));
+            } else {
+                let body = '';
+                request.on('data', (chunk) => body += chunk);
+                request.on('end', () => {
+                    const reply = {
+                        code: (status) => Object.assign(reply, { status: status }),
+                        type: () => reply,
+                        send: (text) => response.writeHead(reply.status).end(text)
+                    };
+
+                    route.parser(request, body, (error, parsed) => route.handler({ method: request.method, headers: request.headers, body: parsed, raw: request }, reply));
+                });
+            }
+        };
+
+        return Promise.all(['/express', '/koa', '/fastify'].map((path) => post(path, Object.assign({}, inMessage, { transactionId: path }))))
+            .then((responses) => {
+                expect(responses.map((response) => response.status)).to.deep.equal([200, 200, 200]);
+                expect(route.path).to.equal('/fastify');
+                expect(received.sort()).to.deep.equal(['/express', '/fastify', '/koa']);
+            });
+    });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const moment = require('moment');
+const expect = require('chai').expect;
+
+const Client = require('../target365-client.js');
+const Signer = require('../lib/signer.js');
+const WebhookVerifier = require('../lib/webhook-verifier.js');
+const FakeServer = require('../lib/fake-server.js');
+
+const signer = new Signer(fs.readFileSync('./test/private.key', 'utf8'));
+const publicKey = fs.readFileSync('./test/public.key', 'utf8');
+
+const uri = 'https://your-site.net/api/receive-sms';
+const body = JSON.stringify({ transactionId: '00568c6b-7baf-4869-b083-d22afc163059', sender: '+4798079008', recipient: '2002', content: 'HELLO' });
+
+/**
+ * Creates X-ECDSA-Signature header
+ *
+ * @param timestamp Timestamp in seconds
+ * @param nonce Nonce
+ * @param keyName Key name. Default is 'ServerKey'.
+ * @returns Header value
+ */
+const header = (timestamp, nonce, keyName) => {
+    const hash = crypto.createHash('sha256').update(body).digest('base64');
+
+    return (keyName || 'ServerKey') + ':' + timestamp + ':' + nonce + ':' + signer.sign('post' + uri.toLowerCase() + timestamp + nonce + hash);
+};
+
+describe('WebhookVerifier', () => {
+    const now = () => moment().unix();
+
+    it('valid signature should be verified once', () => {
+        const verifier = new WebhookVerifier({ publicKeys: { ServerKey: publicKey } });
+        const signature = header(now(), 'nonce-1');
+
+        return verifier.verify('POST', uri, body, signature)
+            .then((result) => expect(result).to.deep.equal({ valid: true, reason: null, keyName: 'ServerKey', timestamp: parseInt(signature.split(':')[1], 10), nonce: 'nonce-1' }))
+            .then(() => verifier.verifyRequest({ method: 'POST', uri: uri, headers: { 'X-ECDSA-Signature': signature }, body: body }))
+            .then((result) => {
+                expect(result.valid).to.equal(false);
+                expect(result.reason).to.equal('replayedNonce');
+            });
+    });
+
+    it('failures should be reported with reasons', () => {
+        const verifier = new WebhookVerifier({ publicKeys: { ServerKey: publicKey }, timestampWindow: 60 });
+
+        return Promise.all([
+            verifier.verify('POST', uri, body, header(now() - 120, 'nonce-1')),
+            verifier.verify('POST', uri, body, header(now() + 120, 'nonce-2')),
+            verifier.verify('POST', uri, body, header(now(), 'nonce-3', 'UnknownKey')),
+            verifier.verify('POST', uri, body + ' ', header(now(), 'nonce-4')),
+            verifier.verify('POST', uri, body, 'malformed')
+        ]).then((results) => {
+            expect(results.map((result) => result.reason)).to.deep.equal(['staleTimestamp', 'staleTimestamp', 'unknownKey', 'badSignature', 'badSignature']);
+            expect(results.every((result) => !result.valid)).to.equal(true);
+        });
+    });
+
+    it('forged request should not block the nonce', () => {
+        const verifier = new WebhookVerifier({ publicKeys: { ServerKey: publicKey } });
+        const timestamp = now();
+
+        return verifier.verify('POST', uri, '{}', header(timestamp, 'nonce-1'))
+            .then((result) => expect(result.reason).to.equal('badSignature'))
+            .then(() => verifier.verify('POST', uri, body, header(timestamp, 'nonce-1')))
+            .then((result) => expect(result.valid).to.equal(true));
+    });
+
+    it('nonce store should record nonces until the window closes', () => {
+        const added = [];
+        const nonceStore = { add: (nonce, expires) => Promise.resolve(added.push({ nonce, expires }) === 1) };
+        const verifier = new WebhookVerifier({ publicKeys: { ServerKey: publicKey }, nonceStore: nonceStore });
+        const timestamp = now();
+
+        return verifier.verify('POST', uri, body, header(timestamp, 'nonce-1'))
+            .then((result) => expect(result.valid).to.equal(true))
+            .then(() => verifier.verify('POST', uri, body, header(timestamp, 'nonce-1')))
+            .then((result) => {
+                expect(result.reason).to.equal('replayedNonce');
+                expect(added[0]).to.deep.equal({ nonce: 'ServerKey:nonce-1', expires: (timestamp + 301) * 1000 });
+            });
+    });
+
+    describe('with client', () => {
+        const server = new FakeServer();
+        let client;
+
+        before(async () => {
+            const baseUrl = await server.start();
+
+            server.registerClientKey('JavaSdkTest', publicKey);
+            server.registerServerKey('ServerKey', publicKey);
+            client = new Client(fs.readFileSync('./test/private.key', 'utf8'), { baseUrl, keyName: 'JavaSdkTest' });
+        });
+
+        after(() => server.stop());
+
+        const keyRequests = () => server.requests.filter((request) => request.path.indexOf('api/server/public-keys') === 0).length;
+
+        it('fetched keys should be cached until they expire', () => {
+            const verifier = new WebhookVerifier({ client: client, keyTtl: 50 });
+
+            return Promise.all([verifier.verify('POST', uri, body, header(now(), 'nonce-1')), verifier.verify('POST', uri, body, header(now(), 'nonce-2'))])
+                .then((results) => {
+                    expect(results.map((result) => result.valid)).to.deep.equal([true, true]);
+                    expect(keyRequests()).to.equal(1);
+                })
+                .then(() => new Promise((resolve) => setTimeout(resolve, 60)))
+                .then(() => verifier.verify('POST', uri, body, header(now(), 'nonce-3')))
+                .then((result) => {
+                    expect(result.valid).to.equal(true);
+                    expect(keyRequests()).to.equal(2);
+                });
+        });
+
+        it('failed key fetch should reject without being cached', () => {
+            // Client resolves error objects, unless the call throws on error
+            const resolving = new Client(fs.readFileSync('./test/private.key', 'utf8'), { baseUrl: server.getBaseUrl(), keyName: 'JavaSdkTest', retry: { maxAttempts: 1 } });
+            const verifier = new WebhookVerifier({ client: resolving });
+            const before = keyRequests();
+
+            server.injectFailure({ method: 'GET', path: 'api/server/public-keys', status: 500 });
+
+            return verifier.verify('POST', uri, body, header(now(), 'nonce-1'))
+                .then(() => expect.fail('Verification should fail'), (error) => expect(error).to.be.instanceOf(Client.Target365ApiError))
+                .then(() => verifier.verify('POST', uri, body, header(now(), 'nonce-2')))
+                .then((result) => {
+                    expect(result.valid).to.equal(true);
+                    expect(keyRequests() - before).to.equal(2);
+                });
+        });
+
+        it('unknown key names should be cached briefly', () => {
+            const verifier = new WebhookVerifier({ client: client, missingKeyTtl: 50 });
+            const forged = (nonce) => header(now(), nonce, 'ForgedKey');
+            const before = keyRequests();
+
+            return verifier.verify('POST', uri, body, forged('nonce-1'))
+                .then(() => verifier.verify('POST', uri, body, forged('nonce-2')))
+                .then((result) => {
+                    expect(result.reason).to.equal('unknownKey');
+                    expect(keyRequests() - before).to.equal(1);
+                })
+                .then(() => new Promise((resolve) => setTimeout(resolve, 60)))
+                .then(() => verifier.verify('POST', uri, body, forged('nonce-3')))
+                .then((result) => {
+                    expect(result.reason).to.equal('unknownKey');
+                    expect(keyRequests() - before).to.equal(2);
+                });
+        });
+
+        it('client verifySignature should pass the nonce and reject replays', () => {
+            const signature = header(now(), 'nonce-1');
+
+            return client.verifySignature('POST', uri, body, signature)
+                .then((valid) => expect(valid).to.equal(true))
+                .then(() => client.verifySignature('POST', uri, body, signature))
+                .then((valid) => expect(valid).to.equal(false));
+        });
+    });
+});